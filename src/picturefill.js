@@ -24,6 +24,11 @@ picturefill.Support = function(image) {
 
   this.image = image;
 
+  // image-set() support test, unprefixed since that's what the polyfill reads
+  var style = document.createElement( 'div' ).style;
+  style.cssText = 'background-image:image-set(url("data:,") 1x)';
+  this.imageSetSupported = !!style.backgroundImage;
+
   /** @type {number|undefined} */
   this.resizeThrottle = undefined;
 
@@ -39,7 +44,20 @@ picturefill.Support = function(image) {
  */
 picturefill.Support.prototype.getWidthFromLength = function( length ) {
   // If a length is specified and doesn’t contain a percentage, and it is greater than 0 or using `calc`, use it. Else, use the `100vw` default.
-  length = length && length.indexOf( '%' ) > -1 === false && ( parseFloat( length ) > 0 || length.indexOf( 'calc(' ) > -1 ) ? length : '100vw';
+  length = length && length.indexOf( '%' ) > -1 === false && ( parseFloat( length ) > 0 || picturefill.mathFunctionRe_.test( length ) ) ? length : '100vw';
+
+  // Most lengths can be resolved without touching the DOM, which avoids a forced layout
+  // and works before `document.body` exists.
+  var width = picturefill.evaluateLength( length );
+
+  if ( width !== null && width > 0 ) {
+    return width;
+  }
+
+  // Measuring an element is the last resort, and impossible without a body.
+  if ( !document.body ) {
+    return picturefill.getViewport().width;
+  }
 
   /**
    * If length is specified in  `vw` units, use `%` instead since the div we’re measuring
@@ -80,7 +98,7 @@ picturefill.support = new picturefill.Support(new Image);
 
 /** 
  * container of supported mime types that one might need to qualify before using
- * @type {Object<string,(boolean|function())>}
+ * @type {Object<string,(boolean|string|function())>}
  */
 picturefill.types = {};
 
@@ -92,24 +110,289 @@ picturefill.types['image/png'] = true;
 // test svg support
 picturefill.types['image/svg+xml'] = document.implementation.hasFeature('http://www.w3.org/TR/SVG11/feature#Image', '1.1');
 
-// test webp support, only when the markup calls for it
-picturefill.types['image/webp'] = function () {
-  // based on Modernizr's lossless img-webp test
-  // note: asynchronous
-  var type = 'image/webp';
+/**
+ * Asynchronous type tests by mime type essence, see `picturefill.registerType`
+ * @type {Object<string,function(Image, {type: string, subtype: string, essence: string, parameters: Object<string,string>}):(boolean|{then: Function})>}
+ * @private
+ */
+picturefill.typeTests_ = {};
+
+/**
+ * Elements waiting on each type test to finish: `img` elements and elements with `image-set()` backgrounds
+ * @type {Object<string,{images: Array<Element>, imageSets: Array<Element>}>}
+ * @private
+ */
+picturefill.typeWaiting_ = {};
 
-  picturefill.support.image.onerror = function () {
-    picturefill.types[type] = false;
-    picturefill.shim();
-  };
-  picturefill.support.image.onload = function () {
-    picturefill.types[type] = picturefill.support.image.width === 1;
-    picturefill.shim();
+/**
+ * Registers a test for a mime type, run the first time the markup calls for that type.
+ * The test gets its own probe image and the type parsed by `picturefill.parseMimeType`, and
+ * returns whether the type is supported, or a promise ( or any thenable ) for it. The result is
+ * memoized in `picturefill.types`, and only the elements waiting on the type are shimmed again
+ * once it is known.
+ * @param {string} type the essence of the type, ie 'image/webp'
+ * @param {function(Image, {type: string, subtype: string, essence: string, parameters: Object<string,string>}):(boolean|{then: Function})} test
+ */
+picturefill.registerType = function( type, test ) {
+  type = type.toLowerCase();
+  picturefill.typeTests_[ type ] = test;
+  delete picturefill.types[ type ];
+};
+
+/**
+ * A type test that decodes a tiny image of the type
+ * @param {string} src data uri of the image
+ * @return {function(Image):{then: Function}}
+ */
+picturefill.decodeTest = function( src ) {
+  return function( image ) {
+    return {
+      then: function( resolve ) {
+        image.onload = function() {
+          resolve( image.width > 0 );
+        };
+        image.onerror = function() {
+          resolve( false );
+        };
+        image.src = src;
+      }
+    };
   };
-  picturefill.support.image.src = 'data:image/webp;base64,UklGRh4AAABXRUJQVlA4TBEAAAAvAAAAAAfQ//73v/+BiOh/AAA=';
 };
 
+/**
+ * Storage that keeps type test results across page loads: `'localStorage'`, `'sessionStorage'`,
+ * or `''` to run the tests on every page load
+ * @type {string}
+ */
+picturefill.typeCacheStorage = 'localStorage';
+
+/**
+ * How long type test results are kept, in milliseconds
+ * @type {number}
+ */
+picturefill.typeCacheMaxAge = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Shortcut method for the storage in `picturefill.typeCacheStorage` ( for easy overriding in tests )
+ * @return {?Storage}
+ */
+picturefill.getStorage = function() {
+  try {
+    return ( picturefill.typeCacheStorage && window[ picturefill.typeCacheStorage ] ) || null;
+  } catch ( e ) {
+    // accessing storage throws where cookies are blocked
+    return null;
+  }
+};
+
+/**
+ * Reads the cached type test results, which are only valid for the browser that stored them
+ * @return {{ua: string, types: Object<string,{supported: boolean, time: number}>}}
+ * @private
+ */
+picturefill.readTypeCache_ = function() {
+  var storage = picturefill.getStorage(),
+    cache = null;
+
+  try {
+    cache = storage && JSON.parse( storage.getItem( picturefill.typeCacheKey_ ) || 'null' );
+  } catch ( e ) {
+    // an unreadable value is replaced below
+  }
+
+  if ( !cache || cache['ua'] !== navigator.userAgent || !cache['types'] ) {
+    cache = { 'ua': navigator.userAgent, 'types': {} };
+  }
+  return cache;
+};
+
+/**
+ * @param {string} type
+ * @return {boolean|undefined} undefined if there is no recent result for the type
+ * @private
+ */
+picturefill.getCachedType_ = function( type ) {
+  var entry = picturefill.readTypeCache_()['types'][ type ];
+
+  if ( entry && new Date().getTime() - entry['time'] < picturefill.typeCacheMaxAge ) {
+    return !!entry['supported'];
+  }
+  return undefined;
+};
+
+/**
+ * @param {string} type
+ * @param {boolean} supported
+ * @private
+ */
+picturefill.cacheType_ = function( type, supported ) {
+  var storage = picturefill.getStorage(),
+    cache;
+
+  if ( !storage ) {
+    return;
+  }
+  cache = picturefill.readTypeCache_();
+  cache['types'][ type ] = { 'supported': supported, 'time': new Date().getTime() };
+
+  try {
+    storage.setItem( picturefill.typeCacheKey_, JSON.stringify( cache ) );
+  } catch ( e ) {
+    // the storage is full or read only
+  }
+};
+
+/**
+ * @param {string} type the key of the type in `picturefill.types`
+ * @param {{type: string, subtype: string, essence: string, parameters: Object<string,string>}} mime
+ * @private
+ */
+picturefill.runTypeTest_ = function( type, mime ) {
+  var result,
+    cached = picturefill.getCachedType_( type );
+
+  // a result from an earlier page load resolves the type synchronously
+  if ( cached !== undefined ) {
+    picturefill.types[ type ] = cached;
+    return;
+  }
+
+  picturefill.types[ type ] = 'pending';
+  try {
+    result = picturefill.typeTests_[ mime.essence ]( new Image(), mime );
+  } catch ( e ) {
+    result = false;
+  }
+
+  if ( result && typeof result.then === 'function' ) {
+    result.then( function( supported ) {
+      picturefill.typeTested_( type, supported );
+    }, function() {
+      picturefill.typeTested_( type, false );
+    });
+  } else {
+    picturefill.typeTested_( type, /** @type {boolean} */ ( result ) );
+  }
+};
+
+/**
+ * @param {string} type
+ * @param {*} supported
+ * @private
+ */
+picturefill.typeTested_ = function( type, supported ) {
+  var waiting = picturefill.typeWaiting_[ type ];
+
+  picturefill.types[ type ] = !!supported;
+  picturefill.cacheType_( type, !!supported );
+  delete picturefill.typeWaiting_[ type ];
+
+  if ( waiting ) {
+    if ( waiting.images.length ) {
+      picturefill.shim({ 'elements': waiting.images });
+    }
+    if ( waiting.imageSets.length ) {
+      picturefill.shimImageSets({ 'elements': waiting.imageSets });
+    }
+  }
+};
+
+/**
+ * Remembers an element to shim again once a type test finishes
+ * @param {string} type
+ * @param {Element} el
+ * @param {boolean} isImageSet
+ * @private
+ */
+picturefill.waitForType_ = function( type, el, isImageSet ) {
+  var mime = picturefill.parseMimeType( type ),
+    key,
+    waiting,
+    list;
+
+  // tests assigned to `picturefill.types` directly shim everything themselves
+  if ( !mime || !picturefill.typeTests_[ mime.essence ] ) {
+    return;
+  }
+  key = picturefill.typeKey_( mime );
+  waiting = picturefill.typeWaiting_[ key ] || ( picturefill.typeWaiting_[ key ] = { images: [], imageSets: [] } );
+  list = isImageSet ? waiting.imageSets : waiting.images;
+
+  for ( var i = 0, len = list.length; i < len; i++ ) {
+    if ( list[ i ] === el ) {
+      return;
+    }
+  }
+  list.push( el );
+};
+
+/**
+ * Images decoded to test for next-gen types, all of them 1x1. The webp one is Modernizr's lossless
+ * img-webp test. The HEVC in the heic one is coded at 16x16, the smallest size encoders produce,
+ * and cropped by a `clap` property.
+ * @const
+ * @private
+ */
+picturefill.typeProbes_ = {
+  'image/webp': 'data:image/webp;base64,UklGRh4AAABXRUJQVlA4TBEAAAAvAAAAAAfQ//73v/+BiOh/AAA=',
+  'image/avif': 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAA' +
+    'AAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAABgAAAAoaWluZgAAAAAAAQAAABppbmZlA' +
+    'gAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAEAAAABAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQAMAAAAA' +
+    'BNjb2xybmNseAACAAIABoAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACBtZGF0EgAKCBgABggQEDQgMgof8D///8QAAK+w',
+  'image/jxl': 'data:image/jxl;base64,/woAELATCgQAAGwAADgAWABYSigztlkxFxApeCcDfZ6JcQ5QJcEJ4AMFiAYAzABBBgAAVKiMMm7wcq7nyw8dFtM2rj' +
+    'O01baFJYlEjHG9AQB3ggLILUkkgY0LJMAeB86ukgQ=',
+  'image/heic': 'data:image/heic;base64,AAAAGGZ0eXBoZWljAAAAAG1pZjFoZWljAAABUW1ldGEAAAAAAAAAIWhkbHIAAAAAAAAAAHBpY3QAAAAAAAAAAAAAA' +
+    'AAAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABcQAAABEAAAAjaWluZgAAAAAAAQAAABVpbmZlAgAAAAABAABodmMxAAAAA' +
+    'NVpcHJwAAAAt2lwY28AAABzaHZjQwEBYAAAAJAAAAAAAB7wAPz9+PgAAA8DoAABABhAAQwB//8BYAAAAwCQAAADAAADAB6VmAmhAAEAJ0IBAQFgA' +
+    'AADAJAAAAMAAAMAHqCIRZZWaryvAQEAAAMAAQAAAwAZCKIAAQAGRAHBc9CJAAAAFGlzcGUAAAAAAAAAEAAAABAAAAAoY2xhcAAAAAEAAAABAAAAA' +
+    'QAAAAH////xAAAAAv////EAAAACAAAAFmlwbWEAAAAAAAAAAQABA4ECgwAAABltZGF0AAAADSgBrx2A7iZ0//85FcA='
+};
+
+// test webp, avif, jpeg xl and heic support
+picturefill.registerType( 'image/webp', picturefill.decodeTest( picturefill.typeProbes_['image/webp'] ) );
+picturefill.registerType( 'image/avif', picturefill.decodeTest( picturefill.typeProbes_['image/avif'] ) );
+picturefill.registerType( 'image/jxl', picturefill.decodeTest( picturefill.typeProbes_['image/jxl'] ) );
+picturefill.registerType( 'image/heic', picturefill.decodeTest( picturefill.typeProbes_['image/heic'] ) );
+
+/**
+ * A short checksum of a string, not meant to be collision free
+ * @param {string} str
+ * @return {string}
+ * @private
+ */
+picturefill.checksum_ = function( str ) {
+  var hash = 0;
+
+  for ( var i = 0, len = str.length; i < len; i++ ) {
+    hash = ( hash * 31 + str.charCodeAt( i ) ) | 0;
+  }
+  return ( hash >>> 0 ).toString( 36 );
+};
+
+/**
+ * Version of the stored type test results, bumped when their format changes
+ * @const
+ * @private
+ */
+picturefill.typeCacheVersion_ = 2;
+
+/**
+ * Storage key of the type test results. It holds the format version and a checksum of the probe
+ * images, so results stored before either changed are tested again.
+ * @const
+ * @private
+ */
+picturefill.typeCacheKey_ = ( function() {
+  var probes = '';
 
+  for ( var type in picturefill.typeProbes_ ) {
+    if ( picturefill.typeProbes_.hasOwnProperty( type ) ) {
+      probes += type + picturefill.typeProbes_[ type ];
+    }
+  }
+  return 'picturefill-types-' + picturefill.typeCacheVersion_ + '-' + picturefill.checksum_( probes );
+}() );
 
 /**
  * namespace
@@ -159,551 +442,3369 @@ picturefill.getDpr = function() {
   return ( window.devicePixelRatio || 1 );
 };
 
+/**
+ * Shortcut method for a `MediaQueryList` to listen to ( for easy overriding in tests )
+ * @param {string} media
+ * @return {MediaQueryList}
+ */
+picturefill.getMediaQueryList = function( media ) {
+  return window.matchMedia ? window.matchMedia( media ) : null;
+};
 
 /**
- * Takes a source element and checks if its type attribute is present and if so, supported
- * Note: for type tests that require a async logic,
- * you can define them as a function that'll run only if that type needs to be tested. Just make the test function call picturefill again when it is complete.
- * see the async webp test above for example
- * @param {Element} source
- * @return {string|number|boolean|undefined}
+ * Shortcut method for the Network Information API ( for easy overriding in tests )
+ * http://wicg.github.io/netinfo/
+ * @return {?{effectiveType: (string|undefined), saveData: (boolean|undefined), downlink: (number|undefined)}}
  */
-picturefill.verifyTypeSupport = function( source ) {
-  var type = source.getAttribute( 'type' );
-  // if type attribute exists, return test result, otherwise return true
-  if ( type === null || type === '' ) {
-    return true;
-  } else {
-    // if the type test is a function, run it and return 'pending' status. The function will rerun picturefill on pending elements once finished.
-    if ( typeof( picturefill.types[ type ] ) === 'function' ) {
-      /** @type {function()} */ (picturefill.types[ type ])();
-      return 'pending';
-    } else {
-      return /** @type {undefined|boolean|string} */ ( picturefill.types[ type ] );
-    }
-  }
+picturefill.getConnection = function() {
+  var connection = navigator['connection'] || navigator['mozConnection'] || navigator['webkitConnection'];
+
+  return connection ? {
+    effectiveType: connection['effectiveType'],
+    saveData: connection['saveData'],
+    downlink: connection['downlink']
+  } : null;
 };
 
 /**
- * Parses an individual `size` and returns the length, and optional media query
- * @param {string} sourceSizeStr
- * @return {{media: ?string, length: ?string}}
+ * Shortcut method for the viewport size `vw`, `vh`, `vmin` and `vmax` are relative to ( for easy overriding in tests )
+ * @return {{width: number, height: number}}
  */
-picturefill.parseSize = function( sourceSizeStr ) {
-  var match = /(\([^)]+\))?\s*(.+)/g.exec( sourceSizeStr );
+picturefill.getViewport = function() {
+  var docElem = document.documentElement;
+
   return {
-    media: match && match[1],
-    length: match && match[2]
+    width: Math.max( window.innerWidth || 0, docElem.clientWidth ),
+    height: Math.max( window.innerHeight || 0, docElem.clientHeight )
   };
 };
 
 /**
- * Takes a string of sizes and returns the width in pixels as a number
- * @param {string} sourceSizeListStr
+ * Shortcut method for the initial font size `em` and `rem` are relative to in `sizes` ( for easy overriding in tests )
+ * http://www.w3.org/html/wg/drafts/html/master/embedded-content.html#valid-source-size-list
  * @return {number}
  */
-picturefill.findWidthFromSourceSize = function( sourceSizeListStr ) {
-  // Split up source size list, ie ( max-width: 30em ) 100%, ( max-width: 50em ) 50%, 33%
-  //                            or (min-width:30em) calc(30% - 15px)
-  var sourceSizeList = picturefill.trim( sourceSizeListStr ).split( /\s*,\s*/ ),
-    winningLength;
+picturefill.getInitialFontSize = function() {
+  // the CSS initial value `medium`
+  return 16;
+};
 
-  for ( var i = 0, len = sourceSizeList.length; i < len; i++ ) {
-    // Match <media-condition>? length, ie ( min-width: 50em ) 100%
-    var sourceSize = sourceSizeList[ i ],
-      // Split '( min-width: 50em ) 100%' into separate strings
-      parsedSize = picturefill.parseSize( sourceSize ),
-      length = parsedSize.length,
-      media = parsedSize.media;
-
-    if ( !length ) {
-      continue;
-    }
-    if ( !media || picturefill.matchesMedia( media ) ) {
-      // if there is no media query or it matches, choose this as our winning length
-      // and end algorithm
-      winningLength = length;
-      break;
-    }
+/**
+ * Size of one unit in css pixels, as functions of the initial font size and the viewport
+ * where they depend on them
+ * @const {Object<string,(number|function(number, {width: number, height: number}): number)>}
+ * @private
+ */
+picturefill.lengthUnits_ = {
+  'px': 1,
+  'cm': 96 / 2.54,
+  'mm': 96 / 25.4,
+  'q': 96 / 101.6,
+  'in': 96,
+  'pt': 96 / 72,
+  'pc': 16,
+  'em': function( fontSize ) {
+    return fontSize;
+  },
+  'rem': function( fontSize ) {
+    return fontSize;
+  },
+  // http://dev.w3.org/csswg/css-values-3/#ex and #ch assume 0.5em where the font can't be measured
+  'ex': function( fontSize ) {
+    return fontSize / 2;
+  },
+  'ch': function( fontSize ) {
+    return fontSize / 2;
+  },
+  'vw': function( fontSize, viewport ) {
+    return viewport.width / 100;
+  },
+  'vh': function( fontSize, viewport ) {
+    return viewport.height / 100;
+  },
+  'vmin': function( fontSize, viewport ) {
+    return Math.min( viewport.width, viewport.height ) / 100;
+  },
+  'vmax': function( fontSize, viewport ) {
+    return Math.max( viewport.width, viewport.height ) / 100;
   }
-
-  // pass the length to a method that can properly determine length
-  // in pixels based on these formats: http://dev.w3.org/csswg/css-values-3/#length-value
-  return picturefill.support.getWidthFromLength( winningLength );
 };
 
 /**
- * A lot of this was pulled from Boris Smus’ parser for the now-defunct WHATWG `srcset`
- * https://github.com/borismus/srcset-polyfill/blob/master/js/srcset-info.js
- *
- * 1. Let input (`srcset`) be the value passed to this algorithm.
- * 2. Let position be a pointer into input, initially pointing at the start of the string.
- * 3. Let raw candidates be an initially empty ordered list of URLs with associated
- *    unparsed descriptors. The order of entries in the list is the order in which entries
- *    are added to the list.
- *
- * @param {string} srcset
- * @return {Array<{url: string, descriptor: string}>}
+ * Matches the start of a math function a length can be given as
+ * @const {RegExp}
+ * @private
  */
-picturefill.parseSrcset = function( srcset ) {
-  
-  var candidates = [];
+picturefill.mathFunctionRe_ = /^\s*(?:(?:-webkit-|-moz-)?calc|min|max|clamp)\(/i;
 
-  while ( srcset !== '' ) {
-    srcset = srcset.replace( /^\s+/g, '' );
+/**
+ * Evaluates a css `<length>` in css pixels without touching the DOM
+ * http://dev.w3.org/csswg/css-values-3/#length-value
+ * @param {string} length ie '50vw', '20em' or 'clamp(320px, 50vw - 2rem, 960px)'
+ * @return {?number} null if the length can't be evaluated this way
+ */
+picturefill.evaluateLength = function( length ) {
+  var match = /^\s*([+\-]?(?:\d*\.)?\d+(?:e[+\-]?\d+)?)([a-z]*)\s*$/i.exec( length ),
+    unit;
 
-    // 5. Collect a sequence of characters that are not space characters, and let that be url.
-    var pos = srcset.search(/\s/g),
-      url, descriptor = null;
+  if ( picturefill.mathFunctionRe_.test( length ) ) {
+    return picturefill.evaluateMathFunction_( length );
+  }
 
-    if ( pos !== -1 ) {
-      url = srcset.slice( 0, pos );
+  if ( !match ) {
+    return null;
+  }
 
-      var last = url.slice(-1);
+  // unitless lengths are only valid as zero
+  if ( !match[ 2 ] ) {
+    return parseFloat( match[ 1 ] ) === 0 ? 0 : null;
+  }
 
-      // 6. If url ends with a U+002C COMMA character (,), remove that character from url
-      // and let descriptors be the empty string. Otherwise, follow these substeps
-      // 6.1. If url is empty, then jump to the step labeled descriptor parser.
+  unit = picturefill.lengthUnits_[ match[ 2 ].toLowerCase() ];
 
-      if ( last === ',' || url === '' ) {
-        url = url.replace( /,+$/, '' );
-        descriptor = '';
-      }
-      srcset = srcset.slice( pos + 1 );
+  if ( unit === undefined ) {
+    return null;
+  }
+  if ( typeof unit === 'function' ) {
+    unit = unit( picturefill.getInitialFontSize(), picturefill.getViewport() );
+  }
+  return parseFloat( match[ 1 ] ) * unit;
+};
 
-      // 6.2. Collect a sequence of characters that are not U+002C COMMA characters (,), and
-      // let that be descriptors.
-      if ( descriptor === null ) {
-        var descpos = srcset.indexOf( ',' );
-        if ( descpos !== -1 ) {
-          descriptor = srcset.slice( 0, descpos );
-          srcset = srcset.slice( descpos + 1 );
-        } else {
-          descriptor = srcset;
-          srcset = '';
+
+/**
+ * Takes a source element and checks if its type attribute is present and if so, supported
+ * Note: for type tests that require a async logic, use `picturefill.registerType`.
+ * A function in `picturefill.types` also runs only if that type needs to be tested,
+ * but it has to call picturefill again itself when it is complete.
+ * @param {Element} source
+ * @return {string|number|boolean|undefined}
+ */
+picturefill.verifyTypeSupport = function( source ) {
+  return picturefill.verifyType( source.getAttribute( 'type' ) );
+};
+
+/**
+ * @const
+ * @private
+ */
+picturefill.httpTokenRe_ = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * @const
+ * @private
+ */
+picturefill.httpWhitespaceRe_ = /^[\t\n\r ]+|[\t\n\r ]+$/g;
+
+/**
+ * @const
+ * @private
+ */
+picturefill.httpTrailingWhitespaceRe_ = /[\t\n\r ]+$/;
+
+/**
+ * Parses a mime type following https://mimesniff.spec.whatwg.org/#parsing-a-mime-type
+ *     'Image/WebP ; codecs="vp8, vp8l"' -> {type: 'image', subtype: 'webp', essence: 'image/webp', parameters: {codecs: 'vp8, vp8l'}}
+ * Type, subtype and parameter names are lowercased, invalid parameters are dropped.
+ *
+ * @param {string} str
+ * @return {?{type: string, subtype: string, essence: string, parameters: Object<string,string>}} null if str isn't a mime type
+ */
+picturefill.parseMimeType = function( str ) {
+  var input = str.replace( picturefill.httpWhitespaceRe_, '' ),
+    len = input.length,
+    pos = input.indexOf( '/' ),
+    end = input.indexOf( ';' ),
+    parameters = {},
+    type,
+    subtype,
+    start,
+    name,
+    value,
+    c;
+
+  if ( end === -1 ) {
+    end = len;
+  }
+  if ( pos === -1 || pos > end ) {
+    return null;
+  }
+  type = input.slice( 0, pos );
+  // only trailing whitespace, `image/ webp` is invalid
+  subtype = input.slice( pos + 1, end ).replace( picturefill.httpTrailingWhitespaceRe_, '' );
+  if ( !picturefill.httpTokenRe_.test( type ) || !picturefill.httpTokenRe_.test( subtype ) ) {
+    return null;
+  }
+
+  pos = end;
+  while ( pos < len ) {
+    // skip the `;` and leading whitespace
+    pos++;
+    while ( pos < len && /[\t\n\r ]/.test( input.charAt( pos ) ) ) {
+      pos++;
+    }
+
+    start = pos;
+    while ( pos < len && input.charAt( pos ) !== ';' && input.charAt( pos ) !== '=' ) {
+      pos++;
+    }
+    name = input.slice( start, pos ).toLowerCase();
+    if ( pos >= len ) {
+      break;
+    }
+    if ( input.charAt( pos ) === ';' ) {
+      continue;
+    }
+    pos++;
+
+    if ( input.charAt( pos ) === '"' ) {
+      // quoted string, with backslash escapes
+      value = '';
+      pos++;
+      while ( pos < len ) {
+        c = input.charAt( pos++ );
+        if ( c === '"' ) {
+          break;
         }
+        if ( c === '\\' ) {
+          c = pos < len ? input.charAt( pos++ ) : c;
+        }
+        value += c;
+      }
+      while ( pos < len && input.charAt( pos ) !== ';' ) {
+        pos++;
       }
     } else {
-      url = srcset;
-      srcset = '';
+      start = pos;
+      while ( pos < len && input.charAt( pos ) !== ';' ) {
+        pos++;
+      }
+      value = input.slice( start, pos ).replace( picturefill.httpTrailingWhitespaceRe_, '' );
+      if ( !value ) {
+        continue;
+      }
     }
 
-    // 7. Add url to raw candidates, associated with descriptors.
-    if ( url || descriptor ) {
-      candidates.push({
-        url: url,
-        descriptor: descriptor
-      });
+    // the first occurrence of a parameter wins
+    if ( picturefill.httpTokenRe_.test( name ) && /^[\t\u0020-\u007E\u0080-\u00FF]*$/.test( value ) &&
+      !parameters.hasOwnProperty( name ) ) {
+      parameters[ name ] = value;
     }
   }
-  return candidates;
+
+  type = type.toLowerCase();
+  subtype = subtype.toLowerCase();
+  return {
+    type: type,
+    subtype: subtype,
+    essence: type + '/' + subtype,
+    parameters: parameters
+  };
 };
 
 /**
- * 11. Descriptor parser: Let candidates be an initially empty source set. The order of entries in the list
- * is the order in which entries are added to the list.
- *
- * @param {string|undefined} descriptor
- * @param {string|undefined} sizesattr
+ * The key of a mime type in `picturefill.types`: its essence, followed by its parameters if it has any,
+ * so results of tests that look at the parameters are kept apart
+ * @param {{essence: string, parameters: Object<string,string>}} mime
+ * @return {string}
+ * @private
  */
-picturefill.parseDescriptor = function( descriptor, sizesattr ) {
-  var sizes = sizesattr || '100vw',
-    sizeDescriptor = descriptor && descriptor.replace( /(^\s+|\s+$)/g, '' ),
-    widthInCssPixels = picturefill.findWidthFromSourceSize( sizes ),
-    resCandidate;
-
-  if ( sizeDescriptor ) {
-    var splitDescriptor = sizeDescriptor.split(' ');
-
-    for (var i = splitDescriptor.length - 1; i >= 0; i--) {
-      var curr = splitDescriptor[ i ],
-        lastchar = curr && curr.slice( curr.length - 1 );
-
-      if ( ( lastchar === 'h' || lastchar === 'w' ) && !picturefill.support.sizesSupported ) {
-        resCandidate = parseFloat( ( parseInt( curr, 10 ) / widthInCssPixels ) );
-      } else if ( lastchar === 'x' ) {
-        var res = curr && parseFloat( curr );
-        resCandidate = res && !isNaN( res ) ? res : 1;
-      }
+picturefill.typeKey_ = function( mime ) {
+  var key = mime.essence,
+    value;
+
+  for ( var name in mime.parameters ) {
+    if ( mime.parameters.hasOwnProperty( name ) ) {
+      value = mime.parameters[ name ];
+      key += ';' + name + '=' + ( value && picturefill.httpTokenRe_.test( value ) ? value :
+        '"' + value.replace( /(["\\])/g, '\\$1' ) + '"' );
     }
   }
-  return resCandidate || 1;
+  return key;
 };
 
 /**
- * Takes a srcset in the form of url/
- * ex. 'images/pic-medium.png 1x, images/pic-medium-2x.png 2x' or
- *     'images/pic-medium.png 400w, images/pic-medium-2x.png 800w' or
- *     'images/pic-small.png'
- * Get an array of image candidates in the form of
- *      {url: '/foo/bar.png', resolution: 1}
- * where resolution is http://dev.w3.org/csswg/css-values-3/#resolution-value
- * If sizes is specified, resolution is calculated
- *
- * @param {string} srcset
- * @param {string=} sizes
- * @return {Array<{url:string, resolution: number}>}
+ * Checks if a mime type is supported, the same way as `picturefill.verifyTypeSupport`.
+ * Types are matched case-insensitively. Registered tests get the parsed type, and where it has
+ * parameters, their result is kept for those parameters. Types without a test of their own
+ * are looked up without their parameters.
+ * @param {?string} type
+ * @return {string|number|boolean|undefined}
  */
-picturefill.getCandidatesFromSourceSet = function( srcset, sizes ) {
-  var candidates = picturefill.parseSrcset( srcset ),
-    formattedCandidates = [];
+picturefill.verifyType = function( type ) {
+  var mime,
+    key,
+    result;
 
-  for ( var i = 0, len = candidates.length; i < len; i++ ) {
-    var candidate = candidates[ i ];
+  // if type exists, return test result, otherwise return true
+  if ( type === null || type === '' ) {
+    return true;
+  } else {
+    mime = picturefill.parseMimeType( type );
+    key = mime ? picturefill.typeKey_( mime ) : type;
 
-    formattedCandidates.push({
-      url: candidate.url,
-      resolution: picturefill.parseDescriptor( candidate.descriptor, sizes )
-    });
+    // registered tests run once, the result is `pending` until they finish
+    if ( mime && picturefill.types[ key ] === undefined && picturefill.typeTests_[ mime.essence ] ) {
+      picturefill.runTypeTest_( key, mime );
+    }
+
+    result = picturefill.types[ key ];
+    if ( result === undefined && mime ) {
+      result = picturefill.types[ mime.essence ];
+    }
+
+    // if the type test is a function, run it and return 'pending' status. The function will rerun picturefill on pending elements once finished.
+    if ( typeof( result ) === 'function' ) {
+      /** @type {function()} */ ( result )();
+      return 'pending';
+    } else {
+      return /** @type {undefined|boolean|string} */ ( result );
+    }
   }
-  return formattedCandidates;
 };
 
 /**
- * if it's an img element and it has a srcset property,
- * we need to remove the attribute so we can manipulate src
- * (the property's existence infers native srcset support, and a srcset-supporting browser will prioritize srcset's value over our winning picture candidate)
- * this moves srcset's value to memory for later use and removes the attr
+ * Evaluates `calc()`, `min()`, `max()` and `clamp()` in css pixels. Functions and parentheses
+ * can be nested and units mixed, ie 'clamp(320px, 50vw - 2rem, 960px)' or 'min(100vw, 1200px)'
+ * http://dev.w3.org/csswg/css-values-4/#math
  *
- * @param {HTMLImageElement} img
+ * @param {string} expression
+ * @return {?number} null if the expression is invalid or doesn't resolve to a length
+ * @private
  */
-picturefill.dodgeSrcset = function( img ) {
-  if ( img.srcset ) {
-    img[ picturefill.ns ]['srcset'] = img.srcset;
-    img.srcset = '';
-    img.setAttribute( 'data-pfsrcset', img[ picturefill.ns ]['srcset'] );
-  }
-};
+picturefill.evaluateMathFunction_ = function( expression ) {
+  var pos = 0,
+    len = expression.length,
+    parseSum,
+    parseProduct,
+    parseValue,
+    result;
+
+  var skipSpace = function() {
+    while ( pos < len && picturefill.isSpace_( expression.charAt( pos ) ) ) {
+      pos++;
+    }
+  };
+
+  // Values are kept as `{value, length}`, where `length` tells lengths in css pixels from plain numbers.
+
+  // <calc-sum> = <calc-product> [ [ '+' | '-' ] <calc-product> ]*
+  parseSum = function() {
+    var left = parseProduct(),
+      before,
+      op,
+      right;
+
+    while ( left ) {
+      before = pos;
+      skipSpace();
+      op = expression.charAt( pos );
+
+      // `+` and `-` need whitespace on both sides to be told from a sign
+      if ( ( op !== '+' && op !== '-' ) || pos === before || !picturefill.isSpace_( expression.charAt( pos + 1 ) ) ) {
+        pos = before;
+        break;
+      }
+      pos++;
+      right = parseProduct();
+
+      if ( !right || right.length !== left.length ) {
+        return null;
+      }
+      left = {
+        value: op === '+' ? left.value + right.value : left.value - right.value,
+        length: left.length
+      };
+    }
+    return left;
+  };
+
+  // <calc-product> = <calc-value> [ '*' <calc-value> | '/' <number> ]*
+  parseProduct = function() {
+    var left = parseValue(),
+      before,
+      op,
+      right;
+
+    while ( left ) {
+      before = pos;
+      skipSpace();
+      op = expression.charAt( pos );
+
+      if ( op !== '*' && op !== '/' ) {
+        pos = before;
+        break;
+      }
+      pos++;
+      right = parseValue();
+
+      if ( !right ) {
+        return null;
+      }
+      if ( op === '*' ) {
+        // at most one side can be a length
+        if ( left.length && right.length ) {
+          return null;
+        }
+        left = {
+          value: left.value * right.value,
+          length: left.length || right.length
+        };
+      } else {
+        // only divide by a non-zero number
+        if ( right.length || right.value === 0 ) {
+          return null;
+        }
+        left = {
+          value: left.value / right.value,
+          length: left.length
+        };
+      }
+    }
+    return left;
+  };
+
+  // <calc-value> = <number> | <dimension> | ( <calc-sum> ) | <math-function>
+  parseValue = function() {
+    var rest,
+      match,
+      name,
+      args = [],
+      isLength,
+      value,
+      i;
+
+    skipSpace();
+    rest = expression.slice( pos );
+
+    match = /^[+\-]?(?:\d*\.)?\d+(?:e[+\-]?\d+)?([a-z%]*)/i.exec( rest );
+    if ( match ) {
+      pos += match[ 0 ].length;
+      if ( !match[ 1 ] ) {
+        return {
+          value: parseFloat( match[ 0 ] ),
+          length: false
+        };
+      }
+      // percentages and unknown units aren't lengths that can be resolved here
+      value = picturefill.evaluateLength( match[ 0 ] );
+      return value === null ? null : {
+        value: value,
+        length: true
+      };
+    }
+
+    match = /^(?:(?:-webkit-|-moz-)?calc|min|max|clamp)?\(/i.exec( rest );
+    if ( !match ) {
+      return null;
+    }
+    pos += match[ 0 ].length;
+    // plain parentheses group like `calc()`
+    name = match[ 0 ].slice( 0, -1 ).replace( /^-\w+-/, '' ).toLowerCase() || 'calc';
+
+    do {
+      value = parseSum();
+      if ( !value ) {
+        return null;
+      }
+      args.push( value );
+      skipSpace();
+    } while ( expression.charAt( pos ) === ',' && ++pos );
+
+    if ( expression.charAt( pos ) !== ')' ) {
+      return null;
+    }
+    pos++;
+
+    if ( ( name === 'calc' && args.length !== 1 ) || ( name === 'clamp' && args.length !== 3 ) ) {
+      return null;
+    }
+    isLength = args[ 0 ].length;
+
+    for ( i = 0; i < args.length; i++ ) {
+      // arguments can't mix lengths and numbers
+      if ( args[ i ].length !== isLength ) {
+        return null;
+      }
+      args[ i ] = args[ i ].value;
+    }
+
+    if ( name === 'min' ) {
+      value = Math.min.apply( Math, args );
+    } else if ( name === 'max' ) {
+      value = Math.max.apply( Math, args );
+    } else if ( name === 'clamp' ) {
+      value = Math.max( args[ 0 ], Math.min( args[ 1 ], args[ 2 ] ) );
+    } else {
+      value = args[ 0 ];
+    }
+
+    return {
+      value: value,
+      length: isLength
+    };
+  };
+
+  skipSpace();
+  result = parseValue();
+  skipSpace();
+
+  return result && result.length && pos === len ? result.value : null;
+};
+
+/**
+ * Finds the index of the `)` closing the parenthesis at `start`, skipping over nested
+ * parentheses and quoted strings
+ * @param {string} str
+ * @param {number} start index of the opening `(`
+ * @return {number} -1 if the parenthesis is never closed
+ * @private
+ */
+picturefill.findClosingParen_ = function( str, start ) {
+  var depth = 0,
+    quote = null,
+    c;
+
+  for ( var i = start, len = str.length; i < len; i++ ) {
+    c = str.charAt( i );
+
+    if ( quote ) {
+      if ( c === '\\' ) {
+        i++;
+      } else if ( c === quote ) {
+        quote = null;
+      }
+    } else if ( c === '"' || c === '\'' ) {
+      quote = c;
+    } else if ( c === '(' ) {
+      depth++;
+    } else if ( c === ')' && --depth === 0 ) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Splits a comma separated list of css component values on the commas that aren't nested
+ * in a function, a block or a string
+ * @param {string} str
+ * @return {Array<string>}
+ * @private
+ */
+picturefill.splitComponentList_ = function( str ) {
+  var list = [],
+    depth = 0,
+    quote = null,
+    start = 0,
+    len = str.length,
+    c;
+
+  for ( var i = 0; i <= len; i++ ) {
+    c = str.charAt( i );
+
+    if ( quote ) {
+      if ( c === '\\' ) {
+        i++;
+      } else if ( c === quote ) {
+        quote = null;
+      }
+    } else if ( c === '"' || c === '\'' ) {
+      quote = c;
+    } else if ( c === '(' ) {
+      depth++;
+    } else if ( c === ')' ) {
+      depth = Math.max( depth - 1, 0 );
+    } else if ( ( c === ',' && !depth ) || i === len ) {
+      list.push( str.slice( start, i ) );
+      start = i + 1;
+    }
+  }
+  return list;
+};
+
+/**
+ * Parses a `<media-condition>` ( http://dev.w3.org/csswg/mediaqueries-4/#typedef-media-condition )
+ * into a tree of `not`, `and` and `or` nodes with `feature` leaves, ie
+ *     '(min-width: 30em) and (not (orientation: portrait))'
+ * Parenthesized expressions that aren't media features parse as `unknown` (<general-enclosed>).
+ * Media types and `only` are not part of the grammar, so `only screen and (...)` is invalid.
+ *
+ * @param {string} media
+ * @return {?{type: string, media: (string|undefined), conditions: (Array|undefined)}} null if media is not a valid condition
+ */
+picturefill.parseMediaCondition = function( media ) {
+  var pos = 0,
+    len = media.length,
+    condition;
+
+  var skipSpace = function() {
+    while ( pos < len && picturefill.isSpace_( media.charAt( pos ) ) ) {
+      pos++;
+    }
+  };
+
+  /** @return {string} the identifier at the current position, without consuming it */
+  var peekIdent = function() {
+    var match = /^-?[a-zA-Z_][\w\-]*/.exec( media.slice( pos ) );
+    return match ? match[ 0 ] : '';
+  };
+
+  // <media-in-parens> = ( <media-condition> ) | <media-feature> | <general-enclosed>
+  var parseInParens = function() {
+    var ident, end, inner, nested;
+
+    skipSpace();
+    ident = peekIdent();
+
+    if ( ident && media.charAt( pos + ident.length ) === '(' ) {
+      // a function is always <general-enclosed>
+      end = picturefill.findClosingParen_( media, pos + ident.length );
+      if ( end === -1 ) {
+        return null;
+      }
+      pos = end + 1;
+      return { type: 'unknown' };
+    }
+
+    if ( media.charAt( pos ) !== '(' ) {
+      return null;
+    }
+    end = picturefill.findClosingParen_( media, pos );
+    if ( end === -1 ) {
+      return null;
+    }
+    inner = picturefill.trim( media.slice( pos + 1, end ) );
+    pos = end + 1;
+
+    nested = picturefill.parseMediaCondition( inner );
+    if ( nested ) {
+      return nested;
+    }
+    // <mf-boolean>, <mf-plain> or <mf-range>
+    if ( /^-?[a-zA-Z_][\w\-]*$/.test( inner ) ||
+      /^-?[a-zA-Z_][\w\-]*\s*:\s*[^:\s][^:]*$/.test( inner ) ||
+      /^[^<>=]+(?:[<>]=?|=)[^<>=]+(?:[<>]=?[^<>=]+)?$/.test( inner ) ) {
+      return {
+        type: 'feature',
+        media: '(' + inner + ')'
+      };
+    }
+    // ( <ident> <any-value> )
+    if ( /^-?[a-zA-Z_]/.test( inner ) ) {
+      return { type: 'unknown' };
+    }
+    return null;
+  };
+
+  // <media-condition> = <media-not> | <media-in-parens> [ <media-and>* | <media-or>* ]
+  var parseCondition = function() {
+    var node, keyword, operator, conditions;
+
+    skipSpace();
+    keyword = peekIdent();
+
+    // the keywords need whitespace after them, `not(` starts a function, which is <general-enclosed>
+    if ( keyword.toLowerCase() === 'not' && picturefill.isSpace_( media.charAt( pos + keyword.length ) ) ) {
+      pos += keyword.length;
+      node = parseInParens();
+      return node && {
+        type: 'not',
+        conditions: [ node ]
+      };
+    }
+
+    node = parseInParens();
+    if ( !node ) {
+      return null;
+    }
+    conditions = [ node ];
+
+    while ( true ) {
+      skipSpace();
+      keyword = peekIdent().toLowerCase();
+
+      if ( keyword !== 'and' && keyword !== 'or' ) {
+        break;
+      }
+      if ( !picturefill.isSpace_( media.charAt( pos + keyword.length ) ) ) {
+        return null;
+      }
+      // `and` and `or` can't be mixed without parentheses
+      if ( operator && operator !== keyword ) {
+        return null;
+      }
+      operator = keyword;
+      pos += keyword.length;
+
+      node = parseInParens();
+      if ( !node ) {
+        return null;
+      }
+      conditions.push( node );
+    }
+
+    return operator ? {
+      type: operator,
+      conditions: conditions
+    } : conditions[ 0 ];
+  };
+
+  condition = parseCondition();
+  skipSpace();
+
+  return condition && pos === len ? condition : null;
+};
+
+/**
+ * Evaluates a tree from `picturefill.parseMediaCondition`, using three-valued logic
+ * where `unknown` nodes are neither true nor false
+ * @param {{type: string, media: (string|undefined), conditions: (Array|undefined)}} condition
+ * @return {?boolean} null if the result is unknown
+ * @private
+ */
+picturefill.evaluateMediaCondition_ = function( condition ) {
+  var result, i, len;
+
+  switch ( condition.type ) {
+    case 'feature':
+      return !!picturefill.matchesMedia( /** @type {string} */ ( condition.media ) );
+
+    case 'not':
+      result = picturefill.evaluateMediaCondition_( condition.conditions[ 0 ] );
+      return result === null ? null : !result;
+
+    case 'and':
+    case 'or':
+      result = condition.type === 'and';
+      for ( i = 0, len = condition.conditions.length; i < len; i++ ) {
+        var current = picturefill.evaluateMediaCondition_( condition.conditions[ i ] );
+
+        // `false` decides an `and`, `true` decides an `or`
+        if ( current === ( condition.type === 'or' ) ) {
+          return current;
+        }
+        if ( current === null ) {
+          result = null;
+        }
+      }
+      return result;
+  }
+  return null;
+};
+
+/**
+ * Shortcut method for evaluating a `<media-condition>` string, an invalid condition never matches
+ * @param {string} media
+ * @return {boolean}
+ */
+picturefill.matchesMediaCondition = function( media ) {
+  var condition = picturefill.parseMediaCondition( media );
+  return !!condition && picturefill.evaluateMediaCondition_( condition ) === true;
+};
+
+/**
+ * Whether a string is a valid non-negative `<source-size-value>`: a length other than a
+ * percentage, or a math function which gets checked when it is evaluated
+ * @param {string} length
+ * @return {boolean}
+ * @private
+ */
+picturefill.isValidSourceSizeValue_ = function( length ) {
+  return /^(?:(?:\d*\.)?\d+(?:e[+\-]?\d+)?(?:px|em|rem|ex|ch|vw|vh|vmin|vmax|cm|mm|q|in|pt|pc)|0)$/i.test( length ) ||
+    /^(?:-webkit-|-moz-)?(?:calc|min|max|clamp)\(.*\)$/i.test( length );
+};
+
+/**
+ * Parses an individual `<source-size>`, ie '(max-width: 30em) 100vw', and returns the length
+ * and optional media condition. Both are null if the entry is invalid and must be skipped.
+ * @param {string} sourceSizeStr
+ * @return {{media: ?string, length: ?string}}
+ */
+picturefill.parseSize = function( sourceSizeStr ) {
+  var invalid = {
+      media: null,
+      length: null
+    },
+    str = picturefill.trim( sourceSizeStr ),
+    start = str.length,
+    length,
+    media;
+
+  // The last component value is the size, either a function or a token ending at whitespace
+  // or a parenthesis.
+  if ( str.slice( -1 ) === ')' ) {
+    // walk back to the matching `(` and the function name in front of it
+    for ( var depth = 0; start-- > 0; ) {
+      depth += { '(': -1, ')': 1 }[ str.charAt( start ) ] || 0;
+      if ( !depth ) {
+        break;
+      }
+    }
+    while ( start > 0 && /[\w\-]/.test( str.charAt( start - 1 ) ) ) {
+      start--;
+    }
+  } else {
+    while ( start > 0 && !/[\s()]/.test( str.charAt( start - 1 ) ) ) {
+      start--;
+    }
+  }
+
+  length = str.slice( start );
+  media = picturefill.trim( str.slice( 0, start ) );
+
+  if ( start < 0 || !picturefill.isValidSourceSizeValue_( length ) ||
+    ( media && !picturefill.parseMediaCondition( media ) ) ) {
+    return invalid;
+  }
+
+  return {
+    media: media || null,
+    length: length
+  };
+};
+
+/**
+ * Parses a sizes attribute into its valid `<source-size>` entries, in order
+ * http://www.whatwg.org/specs/web-apps/current-work/multipage/embedded-content.html#parse-a-sizes-attribute
+ * @param {string} sourceSizeListStr
+ * @return {Array<{media: ?string, length: string}>}
+ */
+picturefill.parseSizes = function( sourceSizeListStr ) {
+  var entries = [],
+    sourceSizeList = picturefill.splitComponentList_( sourceSizeListStr ),
+    parsedSize;
+
+  for ( var i = 0, len = sourceSizeList.length; i < len; i++ ) {
+    parsedSize = picturefill.parseSize( sourceSizeList[ i ] );
+
+    if ( parsedSize.length ) {
+      entries.push({
+        media: parsedSize.media,
+        length: parsedSize.length
+      });
+    }
+  }
+  return entries;
+};
+
+/**
+ * Builds a sizes attribute from `<source-size>` entries, the inverse of `picturefill.parseSizes`
+ * @param {Array<{media: ?string, length: string}>} entries
+ * @return {string}
+ * @throws {Error} if an entry wouldn't parse back to itself
+ */
+picturefill.serializeSizes = function( entries ) {
+  var serialized = [];
+
+  for ( var i = 0, len = entries.length; i < len; i++ ) {
+    var media = entries[ i ].media ? picturefill.trim( entries[ i ].media ) : null,
+      length = picturefill.trim( entries[ i ].length || '' ),
+      sourceSize = media ? media + ' ' + length : length,
+      parsed = picturefill.parseSizes( sourceSize );
+
+    if ( parsed.length !== 1 || parsed[ 0 ].media !== media || parsed[ 0 ].length !== length ) {
+      throw new Error( 'Invalid source size: ' + sourceSize );
+    }
+    serialized.push( sourceSize );
+  }
+  return serialized.join( ', ' );
+};
+
+/**
+ * Takes a string of sizes and returns the width in pixels as a number
+ * @param {string} sourceSizeListStr
+ * @return {number}
+ */
+picturefill.findWidthFromSourceSize = function( sourceSizeListStr ) {
+  // Parse up source size list, ie ( max-width: 30em ) 100vw, ( max-width: 50em ) 50vw, 33vw
+  //                             or (min-width:30em) calc(30vw - 15px)
+  // Invalid entries are skipped. The first entry without a media condition wins, so
+  // the last entry acts as the default.
+  var sourceSizeList = picturefill.parseSizes( sourceSizeListStr ),
+    winningLength;
+
+  for ( var i = 0, len = sourceSizeList.length; i < len; i++ ) {
+    var media = sourceSizeList[ i ].media;
+
+    if ( !media || picturefill.matchesMediaCondition( media ) ) {
+      // if there is no media condition or it matches, choose this as our winning length
+      // and end algorithm
+      winningLength = sourceSizeList[ i ].length;
+      break;
+    }
+  }
+
+  // pass the length to a method that can properly determine length
+  // in pixels based on these formats: http://dev.w3.org/csswg/css-values-3/#length-value
+  return picturefill.support.getWidthFromLength( winningLength );
+};
+
+/**
+ * Reasons reported by `picturefill.parseSrcset` for parse errors and dropped candidates
+ * @enum {string}
+ */
+picturefill.SrcsetError = {
+  STRAY_COMMA: 'stray-comma',
+  TRAILING_COMMAS: 'trailing-commas',
+  DUPLICATE_DESCRIPTOR: 'duplicate-descriptor',
+  CONFLICTING_DESCRIPTORS: 'conflicting-descriptors',
+  INVALID_WIDTH: 'invalid-width',
+  INVALID_DENSITY: 'invalid-density',
+  INVALID_HEIGHT: 'invalid-height',
+  HEIGHT_WITHOUT_WIDTH: 'height-without-width',
+  UNKNOWN_DESCRIPTOR: 'unknown-descriptor'
+};
+
+/**
+ * ASCII whitespace as defined by https://infra.spec.whatwg.org/#ascii-whitespace
+ * @param {string} c
+ * @return {boolean}
+ * @private
+ */
+picturefill.isSpace_ = function( c ) {
+  return c === ' ' || c === '\t' || c === '\n' || c === '\f' || c === '\r';
+};
+
+/**
+ * Descriptor parser, step 13 of https://html.spec.whatwg.org/multipage/images.html#parse-a-srcset-attribute
+ *
+ * Returns the width (`w`), future-compat height (`h`) and pixel density (`x`) of a candidate,
+ * with absent descriptors left undefined. If the descriptors are invalid, the candidate must be
+ * dropped and the reason is returned instead.
+ *
+ * @param {string|Array<string>} descriptors a list of descriptor tokens or a whitespace separated string, ie '400w 300h'
+ * @return {{w: (number|undefined), h: (number|undefined), x: (number|undefined)}|picturefill.SrcsetError}
+ */
+picturefill.parseDescriptor = function( descriptors ) {
+  var width, density, height;
+
+  if ( typeof descriptors === 'string' ) {
+    descriptors = picturefill.trim( descriptors );
+    descriptors = descriptors ? descriptors.split( /\s+/ ) : [];
+  }
+
+  for ( var i = 0, len = descriptors.length; i < len; i++ ) {
+    var descriptor = descriptors[ i ],
+      lastChar = descriptor.slice( -1 ),
+      value = descriptor.slice( 0, -1 );
+
+    if ( lastChar === 'w' ) {
+      if ( width !== undefined ) {
+        return picturefill.SrcsetError.DUPLICATE_DESCRIPTOR;
+      }
+      if ( density !== undefined ) {
+        return picturefill.SrcsetError.CONFLICTING_DESCRIPTORS;
+      }
+      // a valid non-negative integer greater than zero
+      if ( !/^\d+$/.test( value ) || ( width = parseInt( value, 10 ) ) === 0 ) {
+        return picturefill.SrcsetError.INVALID_WIDTH;
+      }
+    } else if ( lastChar === 'x' ) {
+      if ( density !== undefined ) {
+        return picturefill.SrcsetError.DUPLICATE_DESCRIPTOR;
+      }
+      if ( width !== undefined || height !== undefined ) {
+        return picturefill.SrcsetError.CONFLICTING_DESCRIPTORS;
+      }
+      // a valid floating-point number that is not negative
+      if ( !/^-?(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+\-]?\d+)?$/.test( value ) || ( density = parseFloat( value ) ) < 0 ) {
+        return picturefill.SrcsetError.INVALID_DENSITY;
+      }
+    } else if ( lastChar === 'h' ) {
+      if ( height !== undefined ) {
+        return picturefill.SrcsetError.DUPLICATE_DESCRIPTOR;
+      }
+      if ( density !== undefined ) {
+        return picturefill.SrcsetError.CONFLICTING_DESCRIPTORS;
+      }
+      if ( !/^\d+$/.test( value ) || ( height = parseInt( value, 10 ) ) === 0 ) {
+        return picturefill.SrcsetError.INVALID_HEIGHT;
+      }
+    } else {
+      return picturefill.SrcsetError.UNKNOWN_DESCRIPTOR;
+    }
+  }
+
+  // `h` is only reserved for future use alongside `w`
+  if ( height !== undefined && width === undefined ) {
+    return picturefill.SrcsetError.HEIGHT_WITHOUT_WIDTH;
+  }
+
+  return {
+    w: width,
+    h: height,
+    x: density
+  };
+};
+
+/**
+ * Implements the HTML "parse a srcset attribute" algorithm
+ * https://html.spec.whatwg.org/multipage/images.html#parse-a-srcset-attribute
+ *
+ * Candidates with invalid descriptors (see `picturefill.parseDescriptor`) are dropped. If an
+ * `errors` array is passed, a `{offset, reason}` entry is appended to it for every parse error
+ * and every dropped candidate, where offset is the index into `srcset` the error was found at.
+ *
+ * @param {string} srcset
+ * @param {Array<{offset: number, reason: picturefill.SrcsetError}>=} errors
+ * @return {Array<{url: string, descriptor: {w: (number|undefined), h: (number|undefined), x: (number|undefined)}}>}
+ */
+picturefill.parseSrcset = function( srcset, errors ) {
+  var candidates = [],
+    len = srcset.length,
+    pos = 0,
+    start,
+    commaPos,
+    url,
+    descriptors,
+    current,
+    state,
+    descriptor,
+    c;
+
+  /**
+   * @param {number} offset
+   * @param {picturefill.SrcsetError} reason
+   */
+  var reportError = function( offset, reason ) {
+    if ( errors ) {
+      errors.push({
+        offset: offset,
+        reason: reason
+      });
+    }
+  };
+
+  while ( true ) {
+    // 1. Splitting loop: collect a sequence of code points that are ASCII whitespace or U+002C COMMA
+    // characters (,). If any commas were collected, that is a parse error.
+    commaPos = -1;
+    while ( pos < len && ( picturefill.isSpace_( c = srcset.charAt( pos ) ) || c === ',' ) ) {
+      if ( c === ',' && commaPos === -1 ) {
+        commaPos = pos;
+      }
+      pos++;
+    }
+    if ( commaPos !== -1 ) {
+      reportError( commaPos, picturefill.SrcsetError.STRAY_COMMA );
+    }
+
+    // 2. If position is past the end of input, return candidates.
+    if ( pos >= len ) {
+      return candidates;
+    }
+
+    // 3. Collect a sequence of code points that are not ASCII whitespace, and let that be url.
+    start = pos;
+    while ( pos < len && !picturefill.isSpace_( srcset.charAt( pos ) ) ) {
+      pos++;
+    }
+    url = srcset.slice( start, pos );
+
+    // 4. Let descriptors be a new empty list.
+    descriptors = [];
+
+    // 5. If url ends with U+002C (,), then remove all trailing commas from url. If this removed
+    // more than one character, that is a parse error.
+    if ( url.slice( -1 ) === ',' ) {
+      commaPos = url.search( /,+$/ );
+      if ( url.length - commaPos > 1 ) {
+        reportError( start + commaPos + 1, picturefill.SrcsetError.TRAILING_COMMAS );
+      }
+      url = url.slice( 0, commaPos );
+    } else {
+      // Otherwise, tokenize descriptors: skip ASCII whitespace, then run the state machine
+      // below until a comma outside of parentheses or the end of input is reached.
+      while ( pos < len && picturefill.isSpace_( srcset.charAt( pos ) ) ) {
+        pos++;
+      }
+      current = '';
+      state = 'in descriptor';
+
+      while ( true ) {
+        // an empty string stands in for the end of input
+        c = srcset.charAt( pos );
+
+        if ( state === 'in descriptor' ) {
+          if ( picturefill.isSpace_( c ) ) {
+            if ( current ) {
+              descriptors.push( current );
+              current = '';
+              state = 'after descriptor';
+            }
+          } else if ( c === ',' ) {
+            pos++;
+            if ( current ) {
+              descriptors.push( current );
+            }
+            break;
+          } else if ( c === '(' ) {
+            current += c;
+            state = 'in parens';
+          } else if ( c === '' ) {
+            if ( current ) {
+              descriptors.push( current );
+            }
+            break;
+          } else {
+            current += c;
+          }
+        } else if ( state === 'in parens' ) {
+          if ( c === ')' ) {
+            current += c;
+            state = 'in descriptor';
+          } else if ( c === '' ) {
+            descriptors.push( current );
+            break;
+          } else {
+            current += c;
+          }
+        } else {
+          // after descriptor
+          if ( c === '' ) {
+            break;
+          } else if ( !picturefill.isSpace_( c ) ) {
+            // reconsume the current character in the "in descriptor" state
+            state = 'in descriptor';
+            pos--;
+          }
+        }
+        pos++;
+      }
+    }
+
+    // 6. Parse descriptors and add the candidate if they are valid, otherwise drop it.
+    descriptor = picturefill.parseDescriptor( descriptors );
+    if ( typeof descriptor === 'string' ) {
+      reportError( start, descriptor );
+    } else {
+      candidates.push({
+        url: url,
+        descriptor: descriptor
+      });
+    }
+  }
+};
+
+/**
+ * Percent-encodes the characters that would end or be stripped from a url in a srcset:
+ * whitespace anywhere, and commas at the start or end
+ * @param {string} url
+ * @return {string}
+ * @private
+ */
+picturefill.escapeSrcsetUrl_ = function( url ) {
+  return url.replace( /[ \t\n\f\r]/g, encodeURIComponent ).replace( /^,+|,+$/g, function( commas ) {
+    return commas.replace( /,/g, '%2C' );
+  });
+};
+
+/**
+ * Builds a srcset attribute from candidates, the inverse of `picturefill.parseSrcset`
+ * Urls are escaped where needed, and descriptors that are absent are left out, ie
+ *     [{url: 'a.png', descriptor: {w: 400}}, {url: 'b c.png', descriptor: {w: 800}}]
+ * becomes 'a.png 400w, b%20c.png 800w'
+ *
+ * @param {Array<{url: string, descriptor: ({w: (number|undefined), h: (number|undefined), x: (number|undefined)}|undefined)}>} candidates
+ * @return {string}
+ * @throws {Error} if a candidate has no url or invalid descriptors
+ */
+picturefill.serializeSrcset = function( candidates ) {
+  var serialized = [];
+
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    var candidate = candidates[ i ],
+      descriptor = candidate.descriptor || {},
+      tokens = [],
+      reason;
+
+    if ( typeof candidate.url !== 'string' || !candidate.url ) {
+      throw new Error( 'Invalid srcset candidate: missing url' );
+    }
+
+    if ( descriptor.w !== undefined ) {
+      tokens.push( descriptor.w + 'w' );
+    }
+    if ( descriptor.h !== undefined ) {
+      tokens.push( descriptor.h + 'h' );
+    }
+    if ( descriptor.x !== undefined ) {
+      tokens.push( descriptor.x + 'x' );
+    }
+
+    // the descriptors must survive being parsed again
+    reason = picturefill.parseDescriptor( tokens );
+    if ( typeof reason === 'string' ) {
+      throw new Error( 'Invalid srcset candidate ' + candidate.url + ': ' + reason );
+    }
+
+    tokens.unshift( picturefill.escapeSrcsetUrl_( candidate.url ) );
+    serialized.push( tokens.join( ' ' ) );
+  }
+  return serialized.join( ', ' );
+};
+
+/**
+ * Takes a srcset in the form of url/
+ * ex. 'images/pic-medium.png 1x, images/pic-medium-2x.png 2x' or
+ *     'images/pic-medium.png 400w, images/pic-medium-2x.png 800w' or
+ *     'images/pic-small.png'
+ * Get an array of image candidates in the form of
+ *      {url: '/foo/bar.png', resolution: 1}
+ * where resolution is http://dev.w3.org/csswg/css-values-3/#resolution-value
+ * Width candidates get their resolution from the slot width `sizes` resolves to,
+ * candidates without a descriptor default to 1x.
+ * Like the spec's "select an image source", a candidate with the same resolution as an
+ * earlier one is dropped, so the list holds unique resolutions in source order.
+ *
+ * @param {string} srcset
+ * @param {string=} sizes
+ * @param {number=} slotWidth the slot width in css pixels, if already known from `sizes="auto"`
+ * @return {Array<{url:string, resolution: number}>}
+ */
+picturefill.getCandidatesFromSourceSet = function( srcset, sizes, slotWidth ) {
+  var candidates = picturefill.parseSrcset( srcset ),
+    formattedCandidates = [],
+    seenResolutions = {},
+    widthInCssPixels = slotWidth;
+
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    var candidate = candidates[ i ],
+      descriptor = candidate.descriptor,
+      resolution = 1;
+
+    if ( descriptor.w !== undefined ) {
+      // only measure the slot once, and only if a width descriptor needs it
+      if ( widthInCssPixels === undefined ) {
+        widthInCssPixels = picturefill.findWidthFromSourceSize( sizes || '100vw' );
+      }
+      resolution = descriptor.w / widthInCssPixels;
+    } else if ( descriptor.x !== undefined ) {
+      resolution = descriptor.x;
+    }
+
+    if ( seenResolutions.hasOwnProperty( resolution ) ) {
+      continue;
+    }
+    seenResolutions[ resolution ] = true;
+
+    formattedCandidates.push({
+      url: candidate.url,
+      resolution: resolution
+    });
+  }
+  return formattedCandidates;
+};
+
+/**
+ * if it's an img element and it has a srcset property,
+ * we need to remove the attribute so we can manipulate src
+ * (the property's existence infers native srcset support, and a srcset-supporting browser will prioritize srcset's value over our winning picture candidate)
+ * this moves srcset's value to memory for later use and removes the attr
+ *
+ * @param {HTMLImageElement} img
+ */
+picturefill.dodgeSrcset = function( img ) {
+  if ( img.srcset ) {
+    img[ picturefill.ns ]['srcset'] = img.srcset;
+    img.srcset = '';
+    img.setAttribute( 'data-pfsrcset', img[ picturefill.ns ]['srcset'] );
+  }
+};
+
+/**
+ * Accept a source or img element and process its srcset and sizes attrs
+ *
+ * @param {Element} el
+ * @param {Element=} img the `img` a `source` is for, measured for `sizes="auto"`
+ * @return {Array<{url:string, resolution: number}>}
+ */
+picturefill.processSourceSet = function( el, img ) {
+  var srcset = el.getAttribute( 'srcset' ),
+    sizes = el.getAttribute( 'sizes' ),
+    slotWidth,
+    candidates = [];
+
+  // if it's an img element, use the cached srcset property (defined or not)
+  if ( el.nodeName.toUpperCase() === 'IMG' && el[ picturefill.ns ] && el[ picturefill.ns ]['srcset'] ) {
+    srcset = el[ picturefill.ns ]['srcset'];
+  }
+
+  if ( srcset ) {
+    if ( picturefill.hasAutoSizes( el ) ) {
+      slotWidth = picturefill.getSlotWidth( el, img );
+    }
+    candidates = picturefill.getCandidatesFromSourceSet( srcset, sizes, slotWidth );
+  }
+  return candidates;
+};
+
+/**
+ * @param {HTMLImageElement} picImg
+ */
+picturefill.backfaceVisibilityFix = function( picImg ) {
+  // See: https://github.com/scottjehl/picturefill/issues/332
+  var style = picImg.style || {},
+    WebkitBackfaceVisibility = 'webkitBackfaceVisibility' in style,
+    currentZoom = style.zoom;
+
+  if (WebkitBackfaceVisibility) { 
+    style.zoom = '.999';
+
+    WebkitBackfaceVisibility = picImg.offsetWidth;
+
+    style.zoom = currentZoom;
+  }
+};
+
+/**
+ * @param {number} res
+ * @param {Element} picImg
+ */
+picturefill.setWidth = function( res, picImg ) {
+  if ( picImg.setAttribute ) {
+    picImg.setAttribute( 'width', picImg.naturalWidth / res );
+  }
+};
+
+/**
+ * @param {number} res
+ * @param {HTMLImageElement} picImg
+ * @param {string=} readyState
+ */
+picturefill.setInherentSize = function( res, picImg, readyState ) {
+  var ready = readyState !== undefined ? readyState : picImg.complete,
+    widthPreset = !ready && picImg.getAttribute && picImg.getAttribute( 'width' ) !== null;
+
+  if ( ready && res && !widthPreset ) {
+    picturefill.setWidth( res, picImg );
+  }
+  if ( !ready ) {
+    var timer = setTimeout(
+        goog.partial(picturefill.setInherentSize, res, picImg, picImg.complete),
+        250);
+
+    // so that `picturefill.destroy` can cancel it
+    if ( picImg[ picturefill.ns ] ) {
+      picImg[ picturefill.ns ]['sizeTimer'] = timer;
+    }
+  }
+};
+
+/**
+ * Candidate selection strategies by name. A strategy gets the candidates sorted by ascending
+ * resolution, the device pixel ratio and the slot width in css pixels ( undefined where there
+ * is no `sizes` slot, as for background images ), and returns the winning candidate.
+ * Register custom strategies with `picturefill.registerStrategy`.
+ * @type {Object<string,function(Array<{url: string, resolution: number}>, number, (number|undefined)): ({url: string, resolution: number}|undefined)>}
+ */
+picturefill.strategies = {};
+
+/**
+ * The strategy used unless an element names another one in a `data-pfstrategy` attribute,
+ * either the name of a registered strategy or a strategy function
+ * @type {string|function(Array<{url: string, resolution: number}>, number, (number|undefined)): ({url: string, resolution: number}|undefined)}
+ */
+picturefill.strategy = 'ceiling';
+
+/**
+ * How far below the device pixel ratio a candidate may be for the `tolerance` strategy,
+ * as a fraction of the device pixel ratio ( 0.1 accepts 1.8x on a 2x screen )
+ * @type {number}
+ */
+picturefill.tolerance = 0.1;
+
+/**
+ * Whether to limit the candidates picked on slow or metered connections, see `picturefill.networkPolicy`
+ * @type {boolean}
+ */
+picturefill.networkAware = false;
+
+/**
+ * The highest device pixel ratio to pick candidates for, or 0 for no limit
+ * @type {number}
+ */
+picturefill.maxDpr = 0;
+
+/**
+ * @param {number} dpr
+ * @return {number}
+ * @private
+ */
+picturefill.capDpr_ = function( dpr ) {
+  return picturefill.maxDpr ? Math.min( dpr, picturefill.maxDpr ) : dpr;
+};
+
+/**
+ * The device pixel ratio candidates are picked for: the device's, capped by `picturefill.maxDpr`
+ * and, with `picturefill.networkAware` set, by `picturefill.networkPolicy`
+ * @return {number}
+ * @private
+ */
+picturefill.selectionDpr_ = function() {
+  var dpr = picturefill.capDpr_( picturefill.getDpr() ),
+    limits;
+
+  if ( picturefill.networkAware ) {
+    limits = picturefill.networkPolicy( picturefill.getConnection() );
+
+    if ( limits.maxDpr !== undefined ) {
+      dpr = Math.min( dpr, limits.maxDpr );
+    }
+  }
+  return dpr;
+};
+
+/**
+ * Limits for a connection when `picturefill.networkAware` is set: the highest device pixel ratio
+ * to pick candidates for, and the widest candidate in image pixels to pick where `sizes` gives
+ * a slot width. Override it for other limits.
+ * @param {?{effectiveType: (string|undefined), saveData: (boolean|undefined), downlink: (number|undefined)}} connection
+ * @return {{maxDpr: (number|undefined), maxWidth: (number|undefined)}}
+ */
+picturefill.networkPolicy = function( connection ) {
+  if ( !connection ) {
+    return {};
+  }
+  if ( connection.saveData || connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g' ||
+    ( connection.downlink !== undefined && connection.downlink < 1 ) ) {
+    return { maxDpr: 1 };
+  }
+  if ( connection.effectiveType === '3g' ) {
+    return { maxDpr: 1.5 };
+  }
+  return {};
+};
+
+/**
+ * @param {string} name
+ * @param {function(Array<{url: string, resolution: number}>, number, (number|undefined)): ({url: string, resolution: number}|undefined)} strategy
+ */
+picturefill.registerStrategy = function( name, strategy ) {
+  picturefill.strategies[ name ] = strategy;
+};
+
+// the first candidate whose resolution is at least the device pixel ratio, or the largest one
+picturefill.registerStrategy( 'ceiling', function( candidates, dpr ) {
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    if ( candidates[ i ].resolution >= dpr ) {
+      return candidates[ i ];
+    }
+  }
+  return candidates[ candidates.length - 1 ];
+});
+
+// the last candidate whose resolution is at most the device pixel ratio, or the smallest one
+picturefill.registerStrategy( 'floor', function( candidates, dpr ) {
+  for ( var i = candidates.length - 1; i >= 0; i-- ) {
+    if ( candidates[ i ].resolution <= dpr ) {
+      return candidates[ i ];
+    }
+  }
+  return candidates[ 0 ];
+});
+
+// the candidate closest to the device pixel ratio, the larger one on a tie
+picturefill.registerStrategy( 'nearest', function( candidates, dpr ) {
+  var bestCandidate;
+
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    if ( !bestCandidate || Math.abs( candidates[ i ].resolution - dpr ) <= Math.abs( bestCandidate.resolution - dpr ) ) {
+      bestCandidate = candidates[ i ];
+    }
+  }
+  return bestCandidate;
+});
+
+// like `ceiling`, but a candidate within `picturefill.tolerance` below the device pixel ratio is good enough
+picturefill.registerStrategy( 'tolerance', function( candidates, dpr, slotWidth ) {
+  return picturefill.strategies['ceiling']( candidates, dpr * ( 1 - picturefill.tolerance ), slotWidth );
+});
+
+/**
+ * Reads an attribute from an element, or from its `picture` if the element doesn't have it
+ * @param {Element} el
+ * @param {string} name
+ * @return {?string}
+ * @private
+ */
+picturefill.getPictureAttribute_ = function( el, name ) {
+  var parent = el.parentNode,
+    value = el.getAttribute ? el.getAttribute( name ) : null;
+
+  if ( value === null && parent && parent.nodeName && parent.nodeName.toUpperCase() === 'PICTURE' ) {
+    value = parent.getAttribute( name );
+  }
+  return value;
+};
+
+/**
+ * Finds the strategy for an element from its `data-pfstrategy` attribute or that of its
+ * `picture`, falling back to `picturefill.strategy` and then to `ceiling`
+ * @param {Element=} el
+ * @return {function(Array<{url: string, resolution: number}>, number, (number|undefined)): ({url: string, resolution: number}|undefined)}
+ */
+picturefill.getStrategy = function( el ) {
+  var strategy = ( el && picturefill.getPictureAttribute_( el, 'data-pfstrategy' ) ) || picturefill.strategy;
+
+  if ( typeof strategy === 'string' ) {
+    strategy = picturefill.strategies[ strategy ];
+  }
+  return strategy || picturefill.strategies['ceiling'];
+};
+
+/**
+ * Sorts the candidates and picks one with the strategy for the element, by default the
+ * first whose resolution is at least the device pixel ratio, or the largest one if none is.
+ * With `picturefill.networkAware` set, the limits of `picturefill.networkPolicy` apply first.
+ * A candidate that failed to load gives way to the largest one below it, or to the smallest one
+ * above it when all of those failed too.
+ * @param {Array<{url: string, resolution: number}>} candidates
+ * @param {number=} slotWidth
+ * @param {Element=} el
+ * @return {{url: string, resolution: number}|undefined}
+ */
+picturefill.selectCandidate = function( candidates, slotWidth, el ) {
+  var dpr = picturefill.selectionDpr_(),
+    limits,
+    affordable,
+    best;
+
+  if ( !candidates.length ) {
+    return undefined;
+  }
+  picturefill.sortCandidates( candidates );
+
+  if ( picturefill.networkAware ) {
+    limits = picturefill.networkPolicy( picturefill.getConnection() );
+
+    if ( limits.maxWidth !== undefined && slotWidth ) {
+      affordable = [];
+      for ( var i = 0, len = candidates.length; i < len; i++ ) {
+        if ( candidates[ i ].resolution * slotWidth <= limits.maxWidth ) {
+          affordable.push( candidates[ i ] );
+        }
+      }
+      // the smallest candidate is still better than none
+      candidates = affordable.length ? affordable : candidates.slice( 0, 1 );
+    }
+  }
+
+  best = picturefill.getStrategy( el )( candidates, dpr, slotWidth );
+  return best && picturefill.hasFailed( best.url ) ? picturefill.fallback_( candidates, best ) : best;
+};
+
+/**
+ * Shortcut method for the rendered width of an `img` ( for easy overriding in tests )
+ * @param {Element} img
+ * @return {number} 0 if the `img` isn't rendered
+ */
+picturefill.getRenderedWidth = function( img ) {
+  return img.offsetWidth || 0;
+};
+
+/**
+ * `sizes="auto"`, optionally followed by a fallback for when the `img` isn't rendered
+ * @const
+ * @private
+ */
+picturefill.autoSizesRe_ = /^\s*auto\s*(?:,|$)/i;
+
+/**
+ * Whether the slot width of an `img` or `source` comes from the `img`'s rendered width
+ * @param {Element} el
+ * @return {boolean}
+ */
+picturefill.hasAutoSizes = function( el ) {
+  return picturefill.autoSizesRe_.test( el.getAttribute( 'sizes' ) || '' );
+};
+
+/**
+ * Shortcut method for whether an `img` has a width of its own, rather than the width of the image it
+ * shows ( for easy overriding in tests, or to account for widths from style sheets )
+ * @param {Element} img
+ * @return {boolean} true for a `width` attribute or an inline style width
+ */
+picturefill.hasSpecifiedWidth = function( img ) {
+  var data = img[ picturefill.ns ],
+    // once a candidate is applied, the attribute may be the one `picturefill.setInherentSize` set
+    width = data && data['width'] !== undefined ? data['width'] : img.getAttribute( 'width' );
+
+  return width !== null || !!( img.style && img.style.width );
+};
+
+/**
+ * Like the spec, `sizes="auto"` only counts for lazy images with a width of their own. Measuring
+ * any other `img` would measure the candidate it shows, which only ever grows.
+ * @param {Element} el an `img` or `source`
+ * @param {Element=} img the `img` a `source` is for
+ * @return {boolean}
+ */
+picturefill.usesAutoSizes = function( el, img ) {
+  var image = img || el;
+
+  return picturefill.hasAutoSizes( el ) && picturefill.isLazy( image ) && picturefill.hasSpecifiedWidth( image );
+};
+
+/**
+ * The width in css pixels of the slot an `img` or `source` is displayed in, from its `sizes`.
+ * With `sizes="auto"`, this is the rendered width of the `img`, see `picturefill.usesAutoSizes`.
+ * @param {Element} el
+ * @param {Element=} img the `img` a `source` is for
+ * @return {number}
+ */
+picturefill.getSlotWidth = function( el, img ) {
+  var sizes = el.getAttribute( 'sizes' ) || '100vw',
+    width;
+
+  if ( picturefill.autoSizesRe_.test( sizes ) ) {
+    width = picturefill.usesAutoSizes( el, img ) ? picturefill.getRenderedWidth( img || el ) : 0;
+    if ( width ) {
+      return width;
+    }
+    sizes = sizes.replace( picturefill.autoSizesRe_, '' ) || '100vw';
+  }
+  return picturefill.findWidthFromSourceSize( sizes );
+};
+
+/**
+ * Re-evaluates `img` elements with `sizes="auto"` when their rendered width changes
+ * @param {Element} img
+ * @private
+ */
+picturefill.observeAutoSizes_ = function( img ) {
+  var ResizeObserver = window['ResizeObserver'];
+
+  // without ResizeObserver, window resizes still re-evaluate the image
+  if ( !ResizeObserver || img[ picturefill.ns ]['autoSizesObserved'] ) {
+    return;
+  }
+  if ( !picturefill.support.autoSizesObserver_ ) {
+    picturefill.support.autoSizesObserver_ = new ResizeObserver( picturefill.autoSizesResized_ );
+  }
+  picturefill.support.autoSizesObserver_.observe( img );
+  img[ picturefill.ns ]['autoSizesObserved'] = true;
+};
+
+/**
+ * @param {Array<{target: Element}>} entries
+ * @private
+ */
+picturefill.autoSizesResized_ = function( entries ) {
+  var elements = [];
+
+  for ( var i = 0, len = entries.length; i < len; i++ ) {
+    elements.push( entries[ i ].target );
+  }
+  picturefill.shim({ 'reevaluate': true, 'elements': elements });
+};
+
+/**
+ * Checks if loading url would be mixed content the page restricts, and warns about it if so
+ * @param {string} url
+ * @return {boolean}
+ * @private
+ */
+picturefill.blocksMixedContent_ = function( url ) {
+  if ( picturefill.restrictsMixedContent() && url.substr(0, 'http:'.length).toLowerCase() === 'http:' ) {
+    if ( window.console !== undefined ) {
+      console.warn( 'Blocked mixed content image ' + url );
+    }
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Never downgrade an image on re-evaluation: once a candidate is loaded, keep it as long as it is
+ * at least as large as the one that would be picked now. Can also be set for a single image with a
+ * `data-pfneverdowngrade` attribute on the `img` or its `picture`.
+ * @type {boolean}
+ */
+picturefill.neverDowngrade = false;
+
+/**
+ * @param {Element} img
+ * @return {boolean}
+ */
+picturefill.neverDowngrades = function( img ) {
+  return picturefill.neverDowngrade || picturefill.getPictureAttribute_( img, 'data-pfneverdowngrade' ) !== null;
+};
+
+/**
+ * How many times in a row an `img` falls back to another candidate after the selected one failed
+ * to load, before it is left with the broken image
+ * @type {number}
+ */
+picturefill.retries = 3;
+
+/**
+ * Urls of the candidates that failed to load, passed over for as long as the page is open
+ * @type {Object<string,boolean>}
+ * @private
+ */
+picturefill.failed_ = {};
+
+/**
+ * @param {string} url
+ * @return {boolean}
+ */
+picturefill.hasFailed = function( url ) {
+  return picturefill.failed_.hasOwnProperty( url );
+};
+
+/**
+ * @param {Array<{url: string, resolution: number}>} candidates
+ * @return {Array<{url: string, resolution: number}>} the candidates that haven't failed to load
+ * @private
+ */
+picturefill.withoutFailed_ = function( candidates ) {
+  var usable = [];
+
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    if ( !picturefill.hasFailed( candidates[ i ].url ) ) {
+      usable.push( candidates[ i ] );
+    }
+  }
+  return usable;
+};
+
+/**
+ * @param {Array<{url: string, resolution: number}>} candidates sorted by ascending resolution
+ * @param {{url: string, resolution: number}} failed the candidate that failed to load
+ * @return {{url: string, resolution: number}|undefined} the largest candidate left below the failed one,
+ *  or the smallest one left above it
+ * @private
+ */
+picturefill.fallback_ = function( candidates, failed ) {
+  var usable = picturefill.withoutFailed_( candidates ),
+    above;
+
+  for ( var i = usable.length - 1; i >= 0; i-- ) {
+    if ( usable[ i ].resolution < failed.resolution ) {
+      return usable[ i ];
+    }
+    above = usable[ i ];
+  }
+  return above;
+};
+
+/**
+ * @param {Element} source
+ * @param {Element} img
+ * @return {boolean} whether every candidate of a `source` failed to load
+ * @private
+ */
+picturefill.sourceFailed_ = function( source, img ) {
+  var candidates;
+
+  for ( var url in picturefill.failed_ ) {
+    // only worth processing the `srcset` once something failed
+    if ( picturefill.failed_.hasOwnProperty( url ) ) {
+      candidates = picturefill.processSourceSet( source, img );
+      return candidates.length > 0 && !picturefill.withoutFailed_( candidates ).length;
+    }
+  }
+  return false;
+};
+
+/** 
+ * @param {Array<{url: string, resolution: number}>} candidates
+ * @param {HTMLImageElement} picImg
+ * @param {number=} slotWidth
+ * @param {boolean=} keepCurrent keep the current candidate if it is at least as large as the best one
+ */
+picturefill.applyBestCandidate = function( candidates, picImg, slotWidth, keepCurrent ) {
+  var bestCandidate = picturefill.selectCandidate( candidates, slotWidth, picImg );
+
+  if ( keepCurrent && bestCandidate ) {
+    for ( var i = 0, len = candidates.length; i < len; i++ ) {
+      if ( picturefill.endsWith( picImg.src, candidates[ i ].url ) && candidates[ i ].resolution >= bestCandidate.resolution &&
+        !picturefill.hasFailed( candidates[ i ].url ) ) {
+        bestCandidate = candidates[ i ];
+        break;
+      }
+    }
+  }
+
+  if ( bestCandidate && !picturefill.endsWith( picImg.src, bestCandidate.url ) ) {
+    if ( !picturefill.blocksMixedContent_( bestCandidate.url ) ) {
+      // the markup `picturefill.destroy` restores
+      if ( picImg[ picturefill.ns ] && picImg[ picturefill.ns ]['src'] === undefined ) {
+        picImg[ picturefill.ns ]['src'] = picImg.getAttribute( 'src' );
+        picImg[ picturefill.ns ]['width'] = picImg.getAttribute( 'width' );
+      }
+      picImg.src = bestCandidate.url;
+      // currentSrc attribute and property to match
+      // http://picture.responsiveimages.org/#the-img-element
+      picImg.currentSrc = picImg.src;
+
+      picturefill.backfaceVisibilityFix( picImg );
+      // a `sizes="auto"` image is sized by its layout, a width attribute would freeze it
+      if ( !picImg[ picturefill.ns ] || !picImg[ picturefill.ns ]['autoSizes'] ) {
+        picturefill.setInherentSize( bestCandidate.resolution, picImg );
+      }
+      picturefill.selected_( picImg, bestCandidate, slotWidth );
+    }
+  }
+};
+
+/**
+ * Dispatches a bubbling custom event, where the browser can
+ * @param {Element} el
+ * @param {string} type
+ * @param {Object} detail
+ */
+picturefill.fire = function( el, type, detail ) {
+  var event;
+
+  if ( !el.dispatchEvent ) {
+    return;
+  }
+  if ( typeof window.CustomEvent === 'function' ) {
+    event = new window.CustomEvent( type, { 'bubbles': true, 'cancelable': false, 'detail': detail } );
+  } else if ( document.createEvent ) {
+    event = document.createEvent( 'CustomEvent' );
+    event.initCustomEvent( type, true, false, detail );
+  } else {
+    return;
+  }
+  el.dispatchEvent( event );
+};
+
+/**
+ * Fires `picturefill:select` on an `img` that got a new candidate, and has it fire
+ * `picturefill:load` or `picturefill:error` once the candidate loaded or failed
+ * @param {HTMLImageElement} picImg
+ * @param {{url: string, resolution: number}} candidate
+ * @param {number=} slotWidth
+ * @private
+ */
+picturefill.selected_ = function( picImg, candidate, slotWidth ) {
+  var data = picImg[ picturefill.ns ];
+
+  // `applyBestCandidate` may be called on its own, with no expando to keep track in
+  if ( !data ) {
+    return;
+  }
+  data['selected'] = candidate;
+  // the resolved url, to tell the events of the candidate apart from those of any other `src`
+  data['selectedSrc'] = picImg.src;
+
+  if ( !data['listening'] && picImg.addEventListener ) {
+    data['listening'] = true;
+    picImg.addEventListener( 'load', picturefill.imageLoaded_, false );
+    picImg.addEventListener( 'error', picturefill.imageLoaded_, false );
+  }
+
+  picturefill.fire( picImg, 'picturefill:select', {
+    'candidate': candidate,
+    'source': data['source'] || picImg,
+    'dpr': picturefill.selectionDpr_(),
+    'slotWidth': slotWidth
+  });
+};
+
+/**
+ * @param {Event} e a `load` or `error` event of an `img`
+ * @private
+ */
+picturefill.imageLoaded_ = function( e ) {
+  var img = e.target,
+    data = img[ picturefill.ns ],
+    candidate = data && data['selected'];
+
+  // the `src` from before picturefill, or one set by other code
+  if ( !candidate || img.src !== data['selectedSrc'] ) {
+    return;
+  }
+  if ( e.type === 'error' ) {
+    picturefill.failed_[ candidate.url ] = true;
+  }
+  picturefill.fire( img, e.type === 'load' ? 'picturefill:load' : 'picturefill:error', {
+    'candidate': candidate,
+    'source': data['source'] || img
+  });
+
+  if ( e.type === 'load' ) {
+    data['retries'] = 0;
+  } else if ( ( data['retries'] || 0 ) < picturefill.retries ) {
+    // selection passes over the failed candidate, and over sources that have no others left
+    data['retries'] = ( data['retries'] || 0 ) + 1;
+    picturefill.shim({ 'reevaluate': true, 'elements': [ img ] });
+  }
+};
+
+/**
+ * @param {{resolution: number}} a
+ * @param {{resolution: number}} b
+ * @return {number}
+ */
+picturefill.ascendingSort = function( a, b ) {
+  return a.resolution - b.resolution;
+};
+
+/**
+ * Sorts candidates by ascending resolution in place. Candidates with the same resolution
+ * keep their source order, which `Array.prototype.sort` doesn't guarantee.
+ * @param {Array<{url: string, resolution: number}>} candidates
+ * @return {Array<{url: string, resolution: number}>}
+ */
+picturefill.sortCandidates = function( candidates ) {
+  var indexed = [],
+    i,
+    len = candidates.length;
+
+  for ( i = 0; i < len; i++ ) {
+    indexed.push({
+      candidate: candidates[ i ],
+      index: i
+    });
+  }
+
+  indexed.sort(function( a, b ) {
+    return picturefill.ascendingSort( a.candidate, b.candidate ) || a.index - b.index;
+  });
+
+  for ( i = 0; i < len; i++ ) {
+    candidates[ i ] = indexed[ i ].candidate;
+  }
+  return candidates;
+};
+
+/**
+ * The candidates picturefill considered for an `img` the last time it was evaluated,
+ * sorted by ascending resolution ( for tooling, ie to show what the browser would pick from )
+ * @param {HTMLImageElement} img
+ * @return {Array<{url: string, resolution: number}>}
+ */
+picturefill.getCandidates = function( img ) {
+  var candidates = img[ picturefill.ns ] && img[ picturefill.ns ]['candidates'];
+  return candidates ? picturefill.sortCandidates( candidates.slice() ) : [];
+};
+
+/**
+ * In IE9, <source> elements get removed if they aren't children of
+ * video elements. Thus, we conditionally wrap source elements
+ * using <!--[if IE 9]><video style='display: none;'><![endif]-->
+ * and must account for that here by moving those source elements
+ * back into the picture element.
+ *
+ * @param {Element} picture
+ */
+picturefill.removeVideoShim = function( picture ) {
+  var videos = picture.getElementsByTagName( 'video' );
+  if ( videos.length ) {
+    var video = videos[ 0 ],
+      vsources = video.getElementsByTagName( 'source' ),
+      moved = [];
+    while ( vsources.length ) {
+      moved.push( vsources[ 0 ] );
+      picture.insertBefore( vsources[ 0 ], video );
+    }
+    // kept for `picturefill.destroy`
+    picture[ picturefill.ns ] = { 'video': video, 'videoSources': moved };
+    // Remove the video element once we're finished removing its children
+    video.parentNode.removeChild( video );
+  }
+};
+
+/**
+ * Whether element discovery also looks for images in open shadow roots, see `picturefill.getAllElements`
+ * @type {boolean}
+ */
+picturefill.shadowDom = false;
+
+/**
+ * Shortcut method for querying a document, element or shadow root ( for easy overriding in tests )
+ * @param {Document|Element|DocumentFragment} root
+ * @param {string} selector a tag name
+ * @return {Array<Element>|NodeList}
+ */
+picturefill.query = function( root, selector ) {
+  return root.querySelectorAll ? root.querySelectorAll( selector ) : root.getElementsByTagName( selector );
+};
+
+/**
+ * @param {Element} slot
+ * @return {Array<Element>} the elements assigned to a `slot`, including those of nested slots
+ * @private
+ */
+picturefill.getSlotted_ = function( slot ) {
+  var nodes = slot.assignedNodes ? slot.assignedNodes({ 'flatten': true }) : [],
+    elems = [];
+
+  for ( var i = 0, len = nodes.length; i < len; i++ ) {
+    if ( nodes[ i ].nodeType === 1 ) {
+      elems.push( nodes[ i ] );
+    }
+  }
+  return elems;
+};
+
+/**
+ * Collects the `img` elements within a root, the ones assigned to its `slot` elements and,
+ * with `shadow`, the ones within open shadow roots
+ * @param {Document|Element|DocumentFragment} root
+ * @param {boolean} shadow
+ * @param {Array<Element>} imgs
+ * @private
+ */
+picturefill.collectImages_ = function( root, shadow, imgs ) {
+  var found = picturefill.query( root, 'img' ),
+    slots,
+    slotted,
+    elems,
+    i,
+    len;
+
+  if ( root.nodeName && root.nodeName.toUpperCase() === 'IMG' ) {
+    imgs.push( root );
+  }
+  for ( i = 0, len = found.length; i < len; i++ ) {
+    imgs.push( found[ i ] );
+  }
+
+  // slotted content lives outside of the shadow root it is rendered in
+  slots = picturefill.query( root, 'slot' );
+  for ( i = 0, len = slots.length; i < len; i++ ) {
+    slotted = picturefill.getSlotted_( slots[ i ] );
+    for ( var j = 0, jlen = slotted.length; j < jlen; j++ ) {
+      picturefill.addAffectedImages_( slotted[ j ], imgs );
+    }
+  }
+
+  if ( shadow ) {
+    // the root may be a host itself
+    if ( root.shadowRoot ) {
+      picturefill.collectImages_( root.shadowRoot, shadow, imgs );
+    }
+    elems = picturefill.query( root, '*' );
+    for ( i = 0, len = elems.length; i < len; i++ ) {
+      // closed shadow roots are null
+      if ( elems[ i ].shadowRoot ) {
+        picturefill.collectImages_( elems[ i ].shadowRoot, shadow, imgs );
+      }
+    }
+  }
+};
+
+/**
+ * Find all `img` elements, and add them to the candidate list if they have
+ * a `picture` parent, a `sizes` attribute in basic `srcset` supporting browsers,
+ * a `srcset` attribute at all, and they haven’t been evaluated already.
+ *
+ * @param {(Document|Element|DocumentFragment)=} root where to look, the document by default
+ * @param {boolean=} shadow whether to look in open shadow roots, `picturefill.shadowDom` by default
+ * @return {Array<Element>}
+ */
+picturefill.getAllElements = function( root, shadow ) {
+  var elems = [],
+    imgs = [];
+
+  picturefill.collectImages_( root || document, shadow === undefined ? picturefill.shadowDom : shadow, imgs );
+
+  for ( var h = 0, len = imgs.length; h < len; h++ ) {
+    var currImg = imgs[ h ];
+
+    if ( currImg.parentNode.nodeName.toUpperCase() === 'PICTURE' ||
+    ( currImg.getAttribute( 'srcset' ) !== null ) || currImg[ picturefill.ns ] && currImg[ picturefill.ns ]['srcset'] !== null ) {
+      elems.push( currImg );
+    }
+  }
+  return elems;
+};
+
+/**
+ * Remembers a root `picturefill.shim` looked for images in, other than the document's default one,
+ * for resizes to evaluate its images again
+ * @param {Document|Element|DocumentFragment|undefined} root
+ * @param {boolean|undefined} shadow
+ * @private
+ */
+picturefill.trackRoot_ = function( root, shadow ) {
+  var roots = picturefill.support.shimRoots_ || ( picturefill.support.shimRoots_ = [] );
+
+  root = root || document;
+  if ( root === document && ( shadow === undefined || shadow === picturefill.shadowDom ) ) {
+    return;
+  }
+  for ( var i = 0, len = roots.length; i < len; i++ ) {
+    if ( roots[ i ].root === root ) {
+      roots[ i ].shadow = roots[ i ].shadow || !!shadow;
+      return;
+    }
+  }
+  roots.push({ root: root, shadow: !!shadow });
+};
+
+/**
+ * @return {Array<Element>} the images of the document and of the roots `picturefill.shim` was given,
+ *   leaving out roots that are no longer in the document
+ * @private
+ */
+picturefill.getTrackedElements_ = function() {
+  var elems = picturefill.getAllElements(),
+    roots = picturefill.support.shimRoots_ || [],
+    attached = [],
+    found;
+
+  for ( var i = 0, len = roots.length; i < len; i++ ) {
+    if ( !picturefill.contains_( document, roots[ i ].root ) ) {
+      continue;
+    }
+    attached.push( roots[ i ] );
+    found = picturefill.getAllElements( roots[ i ].root, roots[ i ].shadow );
+
+    for ( var j = 0, jlen = found.length; j < jlen; j++ ) {
+      var seen = false;
+
+      for ( var k = 0, klen = elems.length; k < klen; k++ ) {
+        seen = seen || elems[ k ] === found[ j ];
+      }
+      if ( !seen ) {
+        elems.push( found[ j ] );
+      }
+    }
+  }
+  picturefill.support.shimRoots_ = attached;
+  return elems;
+};
+
+/**
+ * @param {HTMLImageElement} img
+ * @param {Element} picture
+ * @return {!HTMLImageElement|undefined|boolean}
+ */
+picturefill.getMatch = function( img, picture ) {
+  var sources = picture.childNodes;
+
+  /** @type {!HTMLImageElement|undefined} */
+  var match;
+
+  // Go through each child, and if they have media queries, evaluate them
+  for ( var j = 0, slen = sources.length; j < slen; j++ ) {
+    var source = sources[ j ];
+
+    // ignore non-element nodes
+    if ( source.nodeType !== 1 ) {
+      continue;
+    }
+
+    // Hitting the `img` element that started everything stops the search for `sources`.
+    // If no previous `source` matches, the `img` itself is evaluated later.
+    if ( source === img ) {
+      return match;
+    }
+
+    // ignore non-`source` nodes
+    if ( source.nodeName.toUpperCase() !== 'SOURCE' ) {
+      continue;
+    }
+    // if it's a source element that has the `src` property set, throw a warning in the console
+    if ( source.getAttribute( 'src' ) !== null && typeof console !== undefined ) {
+      console.warn('The `src` attribute is invalid on `picture` `source` element; instead, use `srcset`.');
+    }
+
+    var media = source.getAttribute( 'media' );
+
+    // if source does not have a srcset attribute, skip
+    if ( !source.getAttribute( 'srcset' ) ) {
+      continue;
+    }
+
+    // if there's no media specified, OR w.matchMedia is supported
+    if ( ( !media || picturefill.matchesMedia( media ) ) ) {
+      var typeSupported = picturefill.verifyTypeSupport( source );
+
+      if ( typeSupported === true ) {
+        // a source that has nothing left but failed candidates gives way to the next one
+        if ( picturefill.sourceFailed_( source, img ) ) {
+          continue;
+        }
+        match = source;
+        break;
+      } else if ( typeSupported === 'pending' ) {
+        picturefill.waitForType_( source.getAttribute( 'type' ), img, false );
+        return false;
+      }
+    }
+  }
+
+  return match;
+};
+
+/**
+ * @param {{elements: (Array<Element>|NodeList), reevaluate: (boolean|undefined), root: (Document|Element|DocumentFragment|undefined), shadow: (boolean|undefined)}=} opt
+ *   without `elements`, the images within `root` are shimmed, see `picturefill.getAllElements`
+ */
+picturefill.shim = function ( opt ) {
+  var elements,
+    element,
+    parent,
+    firstMatch,
+    candidates,
+    keepCurrent,
+    mediaWatched,
+    options = opt || {};
+
+  if ( !options['elements'] ) {
+    picturefill.trackRoot_( options['root'], options['shadow'] );
+  }
+  elements = options['elements'] || picturefill.getAllElements( options['root'], options['shadow'] );
+
+  // Loop through all elements
+  for ( var i = 0, plen = elements.length; i < plen; i++ ) {
+    element = elements[ i ];
+    parent = element.parentNode;
+    firstMatch = undefined;
+    candidates = undefined;
+    mediaWatched = true;
+
+    // immediately skip non-`img` nodes
+    if ( element.nodeName.toUpperCase() !== 'IMG' ) {
+      continue;
+    }
+
+    // expando for caching data on the img
+    if ( !element[ picturefill.ns ] ) {
+      element[ picturefill.ns ] = {};
+    }
+
+    // if the element has already been evaluated, skip it unless
+    // `options.reevaluate` is set to true ( this, for example,
+    // is set to true when running `picturefill` on `resize` ).
+    if ( !options['reevaluate'] && element[ picturefill.ns ]['evaluated'] ) {
+      continue;
+    }
+
+    // lazy images are evaluated once they come near the viewport
+    if ( picturefill.isLazy( element ) && !element[ picturefill.ns ]['nearViewport'] ) {
+      picturefill.observeLazy_( element );
+      continue;
+    }
+
+    // if `img` is in a `picture` element
+    if ( parent.nodeName.toUpperCase() === 'PICTURE' ) {
+
+      // IE9 video workaround
+      picturefill.removeVideoShim( parent );
+
+      mediaWatched = picturefill.watchMedia_( element, parent );
+
+      // return the first match which might undefined
+      // returns false if there is a pending source
+      // TODO the return type here is brutal, cleanup
+      firstMatch = picturefill.getMatch( element, parent );
+
+      // if any sources are pending in this picture due to async type test(s)
+      // remove the evaluated attr and skip for now ( the pending test will
+      // rerun picturefill on this element when complete)
+      if ( firstMatch === false ) {
+        continue;
+      }
+    } else {
+      firstMatch = undefined;
+
+      // it may have been moved out of a `picture`
+      picturefill.unwatchMedia_( element );
+    }
+
+    // Cache and remove `srcset` if present and we’re going to be doing `picture`/`srcset`/`sizes` polyfilling to it.
+    if ( parent.nodeName.toUpperCase() === 'PICTURE' ||
+    ( element.srcset && !picturefill.support.srcsetSupported ) ||
+    ( !picturefill.support.sizesSupported && ( element.srcset && element.srcset.indexOf('w') > -1 ) ) ||
+    ( element.srcset && picturefill.hasAutoSizes( element ) ) ) {
+      picturefill.dodgeSrcset( element );
+    }
+
+    // A re-evaluation may keep a larger image that is already loaded, but not when art direction
+    // switched to another source.
+    keepCurrent = !!options['reevaluate'] && element[ picturefill.ns ]['source'] === ( firstMatch || element ) &&
+      picturefill.neverDowngrades( element );
+
+    // remember which source the candidates came from
+    element[ picturefill.ns ]['source'] = firstMatch || element;
+
+    element[ picturefill.ns ]['autoSizes'] = picturefill.usesAutoSizes( firstMatch || element, element );
+    if ( element[ picturefill.ns ]['autoSizes'] ) {
+      picturefill.observeAutoSizes_( element );
+    }
+
+    if ( firstMatch ) {
+      candidates = picturefill.processSourceSet( /** @type {HTMLImageElement} */ (firstMatch), element );
+      picturefill.applyBestCandidate( candidates, element, picturefill.getSlotWidth( firstMatch, element ), keepCurrent );
+    } else {
+      // No sources matched, so we’re down to processing the inner `img` as a source.
+      candidates = picturefill.processSourceSet( element );
+
+      if ( element.srcset === undefined || element[ picturefill.ns ]['srcset'] ) {
+        // Either `srcset` is completely unsupported, or we need to polyfill `sizes` functionality.
+        picturefill.applyBestCandidate( candidates, element, picturefill.getSlotWidth( element ), keepCurrent );
+      } // Else, resolution-only `srcset` is supported natively.
+    }
+
+    // keep the candidate list around for `picturefill.getCandidates`
+    element[ picturefill.ns ]['candidates'] = candidates;
+
+    // whether `picturefill.checkResize` needs to evaluate the image again
+    element[ picturefill.ns ]['resizes'] = !mediaWatched || picturefill.dependsOnWidth_( firstMatch || element );
+
+    // set evaluated to true to avoid unnecessary reparsing
+    element[ picturefill.ns ]['evaluated'] = true;
+  }
+};
+
+/**
+ * Attribute that marks an `img`, or the `img` of a `picture`, as important enough to preload
+ * @type {string}
+ */
+picturefill.preloadAttr = 'data-pfpreload';
+
+/**
+ * @param {Element} img
+ * @return {boolean}
+ */
+picturefill.isPriority = function( img ) {
+  var priority = img.getAttribute( 'fetchpriority' );
+
+  return ( priority !== null && priority.toLowerCase() === 'high' ) ||
+    picturefill.getPictureAttribute_( img, picturefill.preloadAttr ) !== null;
+};
+
+/**
+ * Starts fetching the images of priority `img` elements ( with `fetchpriority="high"` or
+ * `picturefill.preloadAttr` ) before they are shimmed, by adding `<link rel="preload" as="image">`
+ * to the head for the candidate `picturefill.shim` will select.
+ *
+ * @param {{elements: (Array<Element>|NodeList), root: (Document|Element|DocumentFragment|undefined), shadow: (boolean|undefined)}=} opt
+ * @return {Array<Element>} the added links
+ */
+picturefill.preload = function( opt ) {
+  var options = opt || {},
+    elements = options['elements'] || picturefill.getAllElements( options['root'], options['shadow'] ),
+    head = document.head || document.getElementsByTagName( 'head' )[ 0 ],
+    links = [],
+    element,
+    source,
+    srcset,
+    candidate,
+    link;
+
+  for ( var i = 0, len = elements.length; i < len; i++ ) {
+    element = elements[ i ];
+
+    if ( element.nodeName.toUpperCase() !== 'IMG' || !picturefill.isPriority( element ) ) {
+      continue;
+    }
+    if ( !element[ picturefill.ns ] ) {
+      element[ picturefill.ns ] = {};
+    }
+    if ( element[ picturefill.ns ]['preloaded'] ) {
+      continue;
+    }
+
+    source = element;
+    if ( element.parentNode && element.parentNode.nodeName.toUpperCase() === 'PICTURE' ) {
+      // IE9 video workaround, as the shim does it
+      picturefill.removeVideoShim( element.parentNode );
+      source = picturefill.getMatch( element, element.parentNode );
+
+      // wait for the pending type tests, the shim will pick the image then
+      if ( source === false ) {
+        continue;
+      }
+      source = source || element;
+    }
+
+    srcset = ( source === element && element[ picturefill.ns ]['srcset'] ) || source.getAttribute( 'srcset' );
+    if ( !srcset ) {
+      continue;
+    }
+
+    // browsers that support `imagesrcset` have native `picture` support, so the shim's own
+    // selection is all there is to preload
+    candidate = picturefill.selectCandidate( picturefill.processSourceSet( source, element ),
+      picturefill.getSlotWidth( source, element ), element );
+    if ( !candidate || picturefill.blocksMixedContent_( candidate.url ) ) {
+      continue;
+    }
+
+    link = document.createElement( 'link' );
+    link.rel = 'preload';
+    link.setAttribute( 'as', 'image' );
+    link.href = candidate.url;
+
+    head.appendChild( link );
+    links.push( link );
+    element[ picturefill.ns ]['preloaded'] = true;
+    element[ picturefill.ns ]['preloadLink'] = link;
+  }
+  return links;
+};
 
 /**
- * Accept a source or img element and process its srcset and sizes attrs
+ * Attribute holding the `image-set()` value of an element's background image. Values found
+ * in inline styles are copied here, since browsers without `image-set()` drop them.
+ * @const
+ */
+picturefill.imageSetAttr = 'data-pfimageset';
+
+/**
+ * Parses a css `image-set()` value into its options
+ * http://dev.w3.org/csswg/css-images-4/#image-set-notation
+ *     image-set( url(a.webp) type('image/webp'), 'a.png' 1x, url("b.png") 2x )
+ * Resolutions in `dppx`, `dpi` and `dpcm` are converted to `x`.
  *
+ * @param {string} value
+ * @return {?Array<{url: string, resolution: number, type: ?string}>} null if value is not a valid `image-set()`
+ */
+picturefill.parseImageSet = function( value ) {
+  var match = /^\s*(?:-webkit-)?image-set\(/i.exec( value ),
+    options = [],
+    end,
+    list,
+    rest,
+    url,
+    resolution,
+    type;
+
+  if ( !match ) {
+    return null;
+  }
+  end = picturefill.findClosingParen_( value, match[ 0 ].length - 1 );
+  if ( end === -1 || picturefill.trim( value.slice( end + 1 ) ) ) {
+    return null;
+  }
+  list = picturefill.splitComponentList_( value.slice( match[ 0 ].length, end ) );
+
+  for ( var i = 0, len = list.length; i < len; i++ ) {
+    rest = picturefill.trim( list[ i ] );
+    url = null;
+    resolution = null;
+    type = null;
+
+    // <image> as `url()` or a string
+    if ( ( match = /^url\(\s*(?:"([^"]*)"|'([^']*)'|([^\s"'()]*))\s*\)/i.exec( rest ) ) ||
+      ( match = /^(?:"([^"]*)"|'([^']*)')/.exec( rest ) ) ) {
+      url = match[ 1 ] || match[ 2 ] || match[ 3 ] || '';
+      rest = picturefill.trim( rest.slice( match[ 0 ].length ) );
+    }
+    if ( !url ) {
+      return null;
+    }
+
+    // [ <resolution> || type( <string> ) ]?
+    while ( rest ) {
+      if ( resolution === null && ( match = /^((?:\d*\.)?\d+(?:e[+\-]?\d+)?)(x|dppx|dpi|dpcm)(?=\s|$)/i.exec( rest ) ) ) {
+        resolution = parseFloat( match[ 1 ] ) / { 'x': 1, 'dppx': 1, 'dpi': 96, 'dpcm': 96 / 2.54 }[ match[ 2 ].toLowerCase() ];
+      } else if ( type === null && ( match = /^type\(\s*(?:"([^"]*)"|'([^']*)')\s*\)/i.exec( rest ) ) ) {
+        type = match[ 1 ] !== undefined ? match[ 1 ] : match[ 2 ];
+      } else {
+        return null;
+      }
+      rest = picturefill.trim( rest.slice( match[ 0 ].length ) );
+    }
+
+    options.push({
+      url: url,
+      resolution: resolution === null ? 1 : resolution,
+      type: type
+    });
+  }
+  return options;
+};
+
+/**
+ * Find all elements with an `image-set()` background, either in `picturefill.imageSetAttr`
+ * or in their inline style
+ * @return {Array<Element>}
+ */
+picturefill.getImageSetElements = function() {
+  var elems = [],
+    candidates = document.querySelectorAll ?
+      document.querySelectorAll( '[' + picturefill.imageSetAttr + '], [style*="image-set"]' ) :
+      document.getElementsByTagName( '*' );
+
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    var el = candidates[ i ],
+      style = el.getAttribute( 'style' ),
+      start,
+      end;
+
+    if ( el.getAttribute( picturefill.imageSetAttr ) === null ) {
+      // `cssText` won't do: it is missing the value wherever `image-set()` is unsupported
+      start = style && typeof style === 'string' ? style.search( /(?:-webkit-)?image-set\(/i ) : -1;
+      if ( start === -1 ) {
+        continue;
+      }
+      end = picturefill.findClosingParen_( style, style.indexOf( '(', start ) );
+      if ( end === -1 ) {
+        continue;
+      }
+      el.setAttribute( picturefill.imageSetAttr, style.slice( start, end + 1 ) );
+      el[ picturefill.ns ] = { 'style': style, 'copiedImageSet': true };
+    }
+    elems.push( el );
+  }
+  return elems;
+};
+
+/**
+ * Picks a candidate from an element's `image-set()` and sets it as its background image
  * @param {Element} el
- * @return {Array<{url:string, resolution: number}>}
+ * @return {boolean} false if a type test for one of the options is still pending
  */
-picturefill.processSourceSet = function( el ) {
-  var srcset = el.getAttribute( 'srcset' ),
-    sizes = el.getAttribute( 'sizes' ),
-    candidates = [];
+picturefill.applyImageSet = function( el ) {
+  var value = el.getAttribute( picturefill.imageSetAttr ),
+    options = value && picturefill.parseImageSet( value ),
+    candidates = [],
+    bestCandidate;
 
-  // if it's an img element, use the cached srcset property (defined or not)
-  if ( el.nodeName.toUpperCase() === 'IMG' && el[ picturefill.ns ] && el[ picturefill.ns ]['srcset'] ) {
-    srcset = el[ picturefill.ns ]['srcset'];
+  if ( !options ) {
+    return true;
   }
 
-  if ( srcset ) {
-    candidates = picturefill.getCandidatesFromSourceSet( srcset, sizes );
+  if ( picturefill.support.imageSetSupported ) {
+    // only values in the attribute are still missing from the style
+    if ( !el.style.backgroundImage ) {
+      el.style.backgroundImage = value;
+    }
+    return true;
   }
-  return candidates;
+
+  for ( var i = 0, len = options.length; i < len; i++ ) {
+    var typeSupported = picturefill.verifyType( options[ i ].type );
+
+    if ( typeSupported === 'pending' ) {
+      picturefill.waitForType_( /** @type {string} */ ( options[ i ].type ), el, true );
+      return false;
+    }
+    // options with an unsupported type aren't candidates
+    if ( typeSupported === true ) {
+      candidates.push({
+        url: options[ i ].url,
+        resolution: options[ i ].resolution
+      });
+    }
+  }
+
+  bestCandidate = picturefill.selectCandidate( candidates, undefined, el );
+
+  if ( bestCandidate && bestCandidate.url !== el[ picturefill.ns ]['imageSetUrl'] &&
+    !picturefill.blocksMixedContent_( bestCandidate.url ) ) {
+    el.style.backgroundImage = 'url("' + bestCandidate.url.replace( /(["\\])/g, '\\$1' ) + '")';
+    el[ picturefill.ns ]['imageSetUrl'] = bestCandidate.url;
+  }
+  return true;
 };
 
 /**
- * @param {HTMLImageElement} picImg
+ * Polyfills `image-set()` background images, the counterpart of `picturefill.shim` for images
+ * @param {{elements: (Array<Element>|NodeList), reevaluate: (boolean|undefined)}=} opt
  */
-picturefill.backfaceVisibilityFix = function( picImg ) {
-  // See: https://github.com/scottjehl/picturefill/issues/332
-  var style = picImg.style || {},
-    WebkitBackfaceVisibility = 'webkitBackfaceVisibility' in style,
-    currentZoom = style.zoom;
+picturefill.shimImageSets = function( opt ) {
+  var options = opt || {},
+    elements = options['elements'] || picturefill.getImageSetElements(),
+    element;
 
-  if (WebkitBackfaceVisibility) { 
-    style.zoom = '.999';
+  for ( var i = 0, len = elements.length; i < len; i++ ) {
+    element = elements[ i ];
 
-    WebkitBackfaceVisibility = picImg.offsetWidth;
+    // the style is kept for `picturefill.destroy`
+    if ( !element[ picturefill.ns ] ) {
+      element[ picturefill.ns ] = { 'style': element.getAttribute( 'style' ) };
+    }
 
-    style.zoom = currentZoom;
+    // same as `picturefill.shim`, evaluated elements are only revisited on `reevaluate`,
+    // and elements waiting on a type test are left for when it completes
+    if ( !options['reevaluate'] && element[ picturefill.ns ]['evaluated'] ) {
+      continue;
+    }
+    if ( picturefill.applyImageSet( element ) ) {
+      element[ picturefill.ns ]['evaluated'] = true;
+    }
+  }
+};
+
+picturefill.checkResize = function() {
+  if ( !picturefill.support.picturefillWorking_ ) {
+    picturefill.support.picturefillWorking_ = true;
+    window.clearTimeout( picturefill.support.resizeThrottle );
+    picturefill.support.resizeThrottle = setTimeout( picturefill.afterResize_, 60 );
+  }
+};
+
+picturefill.afterResize_ = function() {
+  var support = picturefill.support,
+    // without a listener for the pixel ratio, a resize is the only hint that it changed
+    all = support.reevaluateAll_ || !support.dprQuery_;
+
+  support.reevaluateAll_ = false;
+  if (!window.HTMLPictureElement) {
+    picturefill.shim({ 'reevaluate': true, 'elements': all ? picturefill.getTrackedElements_() : picturefill.getResizeElements_() });
   }
+  if (all) {
+    picturefill.shimImageSets({ 'reevaluate': true, 'elements': null });
+  }
+  support.picturefillWorking_ = false;
 };
 
 /**
- * @param {number} res
- * @param {Element} picImg
+ * @return {Array<Element>} the images a resize may change the candidate of: those with width
+ *   descriptors, whose slot width comes from `sizes`, those with `media` that can't be listened to,
+ *   and those that haven't been evaluated yet
+ * @private
  */
-picturefill.setWidth = function( res, picImg ) {
-  if ( picImg.setAttribute ) {
-    picImg.setAttribute( 'width', picImg.naturalWidth / res );
+picturefill.getResizeElements_ = function() {
+  var elems = picturefill.getTrackedElements_(),
+    resizes = [];
+
+  for ( var i = 0, len = elems.length; i < len; i++ ) {
+    var data = elems[ i ][ picturefill.ns ];
+
+    if ( !data || !data['evaluated'] || data['resizes'] ) {
+      resizes.push( elems[ i ] );
+    }
+  }
+  return resizes;
+};
+
+/**
+ * @param {Element} el an `img` or `source`
+ * @return {boolean} whether its `srcset` has width descriptors, which make the candidates depend on the slot width
+ * @private
+ */
+picturefill.dependsOnWidth_ = function( el ) {
+  var srcset = ( el.nodeName.toUpperCase() === 'IMG' && el[ picturefill.ns ] && el[ picturefill.ns ]['srcset'] ) ||
+      el.getAttribute( 'srcset' ) || '',
+    candidates = picturefill.parseSrcset( srcset );
+
+  for ( var i = 0, len = candidates.length; i < len; i++ ) {
+    if ( candidates[ i ].descriptor.w !== undefined ) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Re-evaluates the images of a `picture` whenever one of its `media` queries starts or stops matching,
+ * instead of on every resize
+ * @param {Element} img
+ * @param {Element} picture
+ * @return {boolean} false if one of the queries can't be listened to
+ * @private
+ */
+picturefill.watchMedia_ = function( img, picture ) {
+  var sources = picture.getElementsByTagName( 'source' ),
+    watched = true,
+    medias = {},
+    media;
+
+  for ( var i = 0, len = sources.length; i < len; i++ ) {
+    media = sources[ i ].getAttribute( 'media' );
+    if ( media ) {
+      medias[ media ] = true;
+      watched = picturefill.addMediaImage_( media, img ) && watched;
+    }
+  }
+
+  // queries of sources that changed their `media` or were removed
+  picturefill.unwatchMedia_( img, medias );
+  return watched;
+};
+
+/**
+ * Removes an image from the index of media queries, and stops listening to queries no image uses anymore
+ * @param {Element} img
+ * @param {Object<string,boolean>=} keep queries the image still uses
+ * @private
+ */
+picturefill.unwatchMedia_ = function( img, keep ) {
+  var queries = picturefill.support.mediaQueries_;
+
+  for ( var media in queries ) {
+    if ( queries.hasOwnProperty( media ) && !( keep && keep.hasOwnProperty( media ) ) ) {
+      picturefill.removeFromList_( queries[ media ].images, img );
+      if ( !queries[ media ].images.length ) {
+        queries[ media ].mql.removeListener( picturefill.mediaChanged_ );
+        delete queries[ media ];
+      }
+    }
+  }
+};
+
+/**
+ * Adds an image to the index of images by the media queries they depend on, listening to the query
+ * the first time it comes up
+ * @param {string} media
+ * @param {Element} img
+ * @return {boolean} false if the query can't be listened to
+ * @private
+ */
+picturefill.addMediaImage_ = function( media, img ) {
+  var queries = picturefill.support.mediaQueries_ || ( picturefill.support.mediaQueries_ = {} ),
+    mql = queries.hasOwnProperty( media ) ? queries[ media ].mql : picturefill.getMediaQueryList( media ),
+    entry,
+    images;
+
+  // the matchMedia polyfill can't notify about changes
+  if ( !mql || !mql.addListener ) {
+    return false;
+  }
+  if ( !queries.hasOwnProperty( media ) ) {
+    queries[ media ] = { mql: mql, images: [] };
+    mql.addListener( picturefill.mediaChanged_ );
+  }
+  entry = queries[ media ];
+  images = entry.images;
+
+  for ( var i = 0, len = images.length; i < len; i++ ) {
+    if ( images[ i ] === img ) {
+      return true;
+    }
+  }
+  images.push( img );
+  return true;
+};
+
+/**
+ * @param {{media: string}} e a `MediaQueryListEvent`, or the `MediaQueryList` itself in older browsers
+ * @private
+ */
+picturefill.mediaChanged_ = function( e ) {
+  var queries = picturefill.support.mediaQueries_ || {},
+    images = [];
+
+  // browsers serialize the media of the event, so look at every query that uses this list
+  for ( var media in queries ) {
+    if ( queries.hasOwnProperty( media ) && queries[ media ].mql.media === e.media ) {
+      images = images.concat( queries[ media ].images );
+    }
+  }
+  if ( images.length && !window.HTMLPictureElement ) {
+    picturefill.shim({ 'reevaluate': true, 'elements': images });
+  }
+};
+
+/**
+ * Attribute that marks an `img`, or all images in a `picture`, as lazy like `loading="lazy"` does
+ * @type {string}
+ */
+picturefill.lazyAttr = 'data-pflazy';
+
+/**
+ * How close in css pixels a lazy image has to come to the viewport to be loaded
+ * @type {number}
+ */
+picturefill.lazyMargin = 200;
+
+/**
+ * @param {Element} img
+ * @return {boolean}
+ */
+picturefill.isLazy = function( img ) {
+  var loading = img.getAttribute( 'loading' );
+
+  return ( loading !== null && loading.toLowerCase() === 'lazy' ) ||
+    picturefill.getPictureAttribute_( img, picturefill.lazyAttr ) !== null;
+};
+
+/**
+ * Shortcut method for whether an element is within `picturefill.lazyMargin` of the viewport
+ * ( for easy overriding in tests )
+ * @param {Element} el
+ * @return {boolean}
+ */
+picturefill.isNearViewport = function( el ) {
+  var rect = el.getBoundingClientRect(),
+    viewport = picturefill.getViewport(),
+    margin = picturefill.lazyMargin;
+
+  return rect.bottom >= -margin && rect.right >= -margin &&
+    rect.top <= viewport.height + margin && rect.left <= viewport.width + margin;
+};
+
+/**
+ * Waits for a lazy image to come near the viewport, with an IntersectionObserver where available
+ * and by checking on scroll and resize otherwise
+ * @param {Element} img
+ * @private
+ */
+picturefill.observeLazy_ = function( img ) {
+  var IntersectionObserver = window['IntersectionObserver'];
+
+  if ( img[ picturefill.ns ]['lazyObserved'] ) {
+    return;
+  }
+  img[ picturefill.ns ]['lazyObserved'] = true;
+
+  if ( IntersectionObserver ) {
+    if ( !picturefill.support.lazyObserver_ ) {
+      picturefill.support.lazyObserver_ = new IntersectionObserver( picturefill.lazyIntersected_,
+        { 'rootMargin': picturefill.lazyMargin + 'px' } );
+    }
+    picturefill.support.lazyObserver_.observe( img );
+    return;
+  }
+
+  if ( !picturefill.support.lazyImages_ ) {
+    picturefill.support.lazyImages_ = [];
+    if ( window.addEventListener ) {
+      window.addEventListener( 'scroll', picturefill.checkLazy, false );
+      window.addEventListener( 'resize', picturefill.checkLazy, false );
+    } else if ( window.attachEvent ) {
+      window.attachEvent( 'onscroll', picturefill.checkLazy );
+      window.attachEvent( 'onresize', picturefill.checkLazy );
+    }
+  }
+  picturefill.support.lazyImages_.push( img );
+  picturefill.checkLazy();
+};
+
+/**
+ * @param {Array<{target: Element, isIntersecting: boolean}>} entries
+ * @private
+ */
+picturefill.lazyIntersected_ = function( entries ) {
+  var elements = [];
+
+  for ( var i = 0, len = entries.length; i < len; i++ ) {
+    if ( entries[ i ].isIntersecting ) {
+      picturefill.support.lazyObserver_.unobserve( entries[ i ].target );
+      elements.push( entries[ i ].target );
+    }
+  }
+  picturefill.loadLazy_( elements );
+};
+
+/**
+ * @param {Array<Element>} elements
+ * @private
+ */
+picturefill.loadLazy_ = function( elements ) {
+  for ( var i = 0, len = elements.length; i < len; i++ ) {
+    elements[ i ][ picturefill.ns ]['nearViewport'] = true;
+    elements[ i ][ picturefill.ns ]['lazyObserved'] = false;
+  }
+  if ( elements.length ) {
+    picturefill.shim({ 'reevaluate': true, 'elements': elements });
+  }
+};
+
+picturefill.checkLazy = function() {
+  if ( !picturefill.support.lazyWorking_ ) {
+    picturefill.support.lazyWorking_ = true;
+    window.clearTimeout( picturefill.support.lazyThrottle );
+    picturefill.support.lazyThrottle = setTimeout( picturefill.loadVisible, 60 );
+  }
+};
+
+/**
+ * Loads the lazy images waiting for scroll checks that are near the viewport
+ */
+picturefill.loadVisible = function() {
+  var waiting = picturefill.support.lazyImages_ || [],
+    stillWaiting = [],
+    visible = [];
+
+  picturefill.support.lazyWorking_ = false;
+
+  for ( var i = 0, len = waiting.length; i < len; i++ ) {
+    ( picturefill.isNearViewport( waiting[ i ] ) ? visible : stillWaiting ).push( waiting[ i ] );
+  }
+  picturefill.support.lazyImages_ = stillWaiting;
+
+  // stop listening once every lazy image is loaded
+  if ( !stillWaiting.length ) {
+    picturefill.support.lazyImages_ = null;
+    if ( window.removeEventListener ) {
+      window.removeEventListener( 'scroll', picturefill.checkLazy, false );
+      window.removeEventListener( 'resize', picturefill.checkLazy, false );
+    } else if ( window.detachEvent ) {
+      window.detachEvent( 'onscroll', picturefill.checkLazy );
+      window.detachEvent( 'onresize', picturefill.checkLazy );
+    }
+  }
+  picturefill.loadLazy_( visible );
+};
+
+/**
+ * Re-evaluates images when the device pixel ratio changes, as it does with browser zoom or when
+ * the window is moved to another screen. This is not something a resize event reliably reports.
+ */
+picturefill.watchDpr = function() {
+  var dpr = picturefill.getDpr(),
+    mql = picturefill.getMediaQueryList( '(resolution: ' + dpr + 'dppx), (-webkit-device-pixel-ratio: ' + dpr + ')' );
+
+  picturefill.unwatchDpr();
+
+  // the matchMedia polyfill can't notify about changes
+  if ( !mql || !mql.addListener ) {
+    return;
+  }
+  mql.addListener( picturefill.dprChanged_ );
+  picturefill.support.dprQuery_ = mql;
+  picturefill.support.dpr_ = dpr;
+};
+
+picturefill.unwatchDpr = function() {
+  if ( picturefill.support.dprQuery_ ) {
+    picturefill.support.dprQuery_.removeListener( picturefill.dprChanged_ );
+    picturefill.support.dprQuery_ = null;
+  }
+};
+
+/** @private */
+picturefill.dprChanged_ = function() {
+  var previous = picturefill.support.dpr_;
+
+  // the query only matches the old value, so listen for the new one
+  picturefill.watchDpr();
+
+  // nothing to do when both ratios are above the cap
+  if ( picturefill.capDpr_( picturefill.getDpr() ) !== picturefill.capDpr_( previous ) ) {
+    // unlike a resize, this changes the candidate of every image
+    picturefill.support.reevaluateAll_ = true;
+    picturefill.checkResize();
+  }
+};
+
+/**
+ * Attributes of `img` and `source` elements that change which candidate an image gets
+ * @const
+ * @private
+ */
+picturefill.observedAttributes_ = [ 'srcset', 'sizes', 'media', 'type' ];
+
+/**
+ * Shims `img` elements as they are added to the document, or as the attributes of them or their
+ * `source` elements change. Mutations are handled in batches, and only the affected images are shimmed.
+ */
+picturefill.observeMutations = function() {
+  var MutationObserver = window['MutationObserver'] || window['WebKitMutationObserver'];
+
+  if ( !MutationObserver || picturefill.support.mutationObserver_ ) {
+    return;
+  }
+  picturefill.support.mutationObserver_ = new MutationObserver( picturefill.mutated_ );
+  picturefill.support.mutationObserver_.observe( document.documentElement, {
+    'childList': true,
+    'subtree': true,
+    'attributes': true,
+    'attributeFilter': picturefill.observedAttributes_
+  });
+};
+
+/**
+ * Adds the `img` elements a node stands for to a list: the node itself, the `img` of a `picture`
+ * it is a `source` of, or the `img` elements it contains
+ * @param {Node} node
+ * @param {Array<Element>} images
+ * @private
+ */
+picturefill.addAffectedImages_ = function( node, images ) {
+  var nodeName = node.nodeName.toUpperCase(),
+    found = [];
+
+  if ( node.nodeType !== 1 ) {
+    return;
+  }
+  if ( nodeName === 'IMG' ) {
+    found = [ node ];
+  } else if ( nodeName === 'SOURCE' ) {
+    if ( node.parentNode && node.parentNode.nodeName.toUpperCase() === 'PICTURE' ) {
+      found = node.parentNode.getElementsByTagName( 'img' );
+    }
+  } else {
+    found = node.getElementsByTagName( 'img' );
+  }
+
+  for ( var i = 0, len = found.length; i < len; i++ ) {
+    var seen = false;
+
+    for ( var j = 0, jlen = images.length; j < jlen; j++ ) {
+      seen = seen || images[ j ] === found[ i ];
+    }
+    if ( !seen ) {
+      images.push( found[ i ] );
+    }
+  }
+};
+
+/**
+ * Whether a node is inside another one, looking through the shadow roots in between
+ * @param {Node} root
+ * @param {Node} node
+ * @return {boolean}
+ * @private
+ */
+picturefill.contains_ = function( root, node ) {
+  while ( node && node !== root ) {
+    node = node.parentNode || node.host;
   }
+  return !!node;
 };
 
 /**
- * @param {number} res
- * @param {HTMLImageElement} picImg
- * @param {string=} readyState
+ * @param {Array<MutationRecord>} records
+ * @private
  */
-picturefill.setInherentSize = function( res, picImg, readyState ) {
-  var ready = readyState !== undefined ? readyState : picImg.complete,
-    widthPreset = !ready && picImg.getAttribute && picImg.getAttribute( 'width' ) !== null;
+picturefill.mutated_ = function( records ) {
+  var attached = [],
+    images = [],
+    removed = [],
+    record,
+    target;
+
+  for ( var i = 0, len = records.length; i < len; i++ ) {
+    record = records[ i ];
+    target = record.target;
+
+    if ( record.type === 'attributes' ) {
+      if ( target.nodeName.toUpperCase() === 'IMG' && record.attributeName === 'srcset' ) {
+        // `picturefill.dodgeSrcset` empties it, only a new value needs to be picked up
+        if ( target.getAttribute( 'srcset' ) === '' ) {
+          continue;
+        }
+        if ( target[ picturefill.ns ] ) {
+          target[ picturefill.ns ]['srcset'] = undefined;
+        }
+      }
+      picturefill.addAffectedImages_( target, images );
+    } else {
+      // `source` elements added to or removed from a `picture`
+      if ( target.nodeName.toUpperCase() === 'PICTURE' ) {
+        picturefill.addAffectedImages_( target, images );
+      }
+      for ( var j = 0, jlen = record.addedNodes.length; j < jlen; j++ ) {
+        picturefill.addAffectedImages_( record.addedNodes[ j ], images );
+      }
+      for ( var k = 0, klen = record.removedNodes ? record.removedNodes.length : 0; k < klen; k++ ) {
+        picturefill.addAffectedImages_( record.removedNodes[ k ], removed );
+      }
+    }
+  }
 
-  if ( ready && res && !widthPreset ) {
-    picturefill.setWidth( res, picImg );
+  // removed images no longer need their media queries, moved ones are indexed again by the shim
+  for ( var l = 0, llen = removed.length; l < llen; l++ ) {
+    picturefill.unwatchMedia_( removed[ l ] );
   }
-  if ( !ready ) {
-    setTimeout(
-        goog.partial(picturefill.setInherentSize, res, picImg, picImg.complete),
-        250);
+
+  // images added and removed again within the batch are gone by the time it is handled
+  for ( var m = 0, mlen = images.length; m < mlen; m++ ) {
+    if ( picturefill.contains_( document, images[ m ] ) ) {
+      attached.push( images[ m ] );
+    }
+  }
+
+  if ( attached.length && !window.HTMLPictureElement ) {
+    picturefill.shim({ 'reevaluate': true, 'elements': attached });
   }
 };
 
-/** 
- * @param {Array<{url: string, resolution: number}>} candidates
- * @param {HTMLImageElement} picImg
- */
-picturefill.applyBestCandidate = function( candidates, picImg ) {
-  var candidate,
-    length,
-    bestCandidate;
+/** @param {{observe: (boolean|undefined)}=} opt `observe` shims images added to the document later on */
+picturefill.init = function ( opt ) {
+  var options = opt || {};
+
+  if (!window.HTMLPictureElement) {
+    // HTML shim|v it for old IE (IE9 will still need the HTML video tag workaround)
+    document.createElement('picture');
 
-  candidates.sort( picturefill.ascendingSort );
+    // get the fetch of priority images going before everything else is shimmed
+    picturefill.preload();
+    picturefill.shim();
+  }
 
-  length = candidates.length;
-  bestCandidate = candidates[ length - 1 ];
+  // `image-set()` values in `data-` attributes are applied even where it is supported
+  picturefill.shimImageSets();
 
-  for ( var i = 0; i < length; i++ ) {
-    candidate = candidates[ i ];
-    if ( candidate.resolution >= picturefill.getDpr() ) {
-      bestCandidate = candidate;
-      break;
-    }
+  // If picture and image-set() are supported, well, that's awesome. Let's get outta here...
+  if (window.HTMLPictureElement && picturefill.support.imageSetSupported) {
+    return;
   }
 
-  if ( bestCandidate && !picturefill.endsWith( picImg.src, bestCandidate.url ) ) {
-    if ( picturefill.restrictsMixedContent() && bestCandidate.url.substr(0, 'http:'.length).toLowerCase() === 'http:' ) {
-      if ( window.console !== undefined ) {
-        console.warn( 'Blocked mixed content image ' + bestCandidate.url );
-      }
-    } else {
-      picImg.src = bestCandidate.url;
-      // currentSrc attribute and property to match
-      // http://picture.responsiveimages.org/#the-img-element
-      picImg.currentSrc = picImg.src;
+  if (options['observe']) {
+    picturefill.observeMutations();
+  }
 
-      picturefill.backfaceVisibilityFix( picImg );
-      picturefill.setInherentSize( bestCandidate.resolution, picImg );
-    }
+  // init may run again to turn on the observer
+  if (picturefill.support.initialized_) {
+    return;
   }
+  picturefill.support.initialized_ = true;
+
+  if (window.addEventListener) {
+    window.addEventListener('resize', picturefill.checkResize, false);
+  } else if (window.attachEvent) {
+    window.attachEvent('onresize', picturefill.checkResize);
+  }
+  picturefill.watchDpr();
 };
 
 /**
- * @param {{resolution: number}} a
- * @param {{resolution: number}} b
- * @return {number}
+ * Removes an element from a list, in place
+ * @param {Array<Element>} list
+ * @param {Element} el
+ * @private
  */
-picturefill.ascendingSort = function( a, b ) {
-  return a.resolution - b.resolution;
+picturefill.removeFromList_ = function( list, el ) {
+  for ( var i = list.length - 1; i >= 0; i-- ) {
+    if ( list[ i ] === el ) {
+      list.splice( i, 1 );
+    }
+  }
 };
 
 /**
- * In IE9, <source> elements get removed if they aren't children of
- * video elements. Thus, we conditionally wrap source elements
- * using <!--[if IE 9]><video style='display: none;'><![endif]-->
- * and must account for that here by moving those source elements
- * back into the picture element.
- *
- * @param {Element} picture
+ * Sets an attribute to a value that was read with `getAttribute`, removing it for null
+ * @param {Element} el
+ * @param {string} name
+ * @param {?string} value
+ * @private
  */
-picturefill.removeVideoShim = function( picture ) {
-  var videos = picture.getElementsByTagName( 'video' );
-  if ( videos.length ) {
-    var video = videos[ 0 ],
-      vsources = video.getElementsByTagName( 'source' );
-    while ( vsources.length ) {
-      picture.insertBefore( vsources[ 0 ], video );
-    }
-    // Remove the video element once we're finished removing its children
-    video.parentNode.removeChild( video );
+picturefill.restoreAttribute_ = function( el, name, value ) {
+  if ( value === null ) {
+    el.removeAttribute( name );
+  } else {
+    el.setAttribute( name, value );
   }
 };
 
 /**
- * Find all `img` elements, and add them to the candidate list if they have
- * a `picture` parent, a `sizes` attribute in basic `srcset` supporting browsers,
- * a `srcset` attribute at all, and they haven’t been evaluated already.
- *
- * @return {Array<Element>}
+ * Deletes an expando of an element, old IE can't delete properties of DOM nodes
+ * @param {Element} el
+ * @param {string} name
+ * @private
  */
-picturefill.getAllElements = function() {
-  var elems = [],
-    imgs = document.getElementsByTagName( 'img' );
-
-  for ( var h = 0, len = imgs.length; h < len; h++ ) {
-    var currImg = imgs[ h ];
-
-    if ( currImg.parentNode.nodeName.toUpperCase() === 'PICTURE' ||
-    ( currImg.getAttribute( 'srcset' ) !== null ) || currImg[ picturefill.ns ] && currImg[ picturefill.ns ]['srcset'] !== null ) {
-      elems.push( currImg );
-    }
+picturefill.removeExpando_ = function( el, name ) {
+  try {
+    delete el[ name ];
+  } catch ( e ) {
+    el[ name ] = undefined;
   }
-  return elems;
 };
 
 /**
- * @param {HTMLImageElement} img
- * @param {Element} picture
- * @return {!HTMLImageElement|undefined|boolean}
+ * Restores an `img` to its markup before picturefill and forgets about it
+ * @param {Element} img
+ * @private
  */
-picturefill.getMatch = function( img, picture ) {
-  var sources = picture.childNodes;
-
-  /** @type {!HTMLImageElement|undefined} */
-  var match;
+picturefill.destroyImage_ = function( img ) {
+  var data = img[ picturefill.ns ],
+    support = picturefill.support;
 
-  // Go through each child, and if they have media queries, evaluate them
-  for ( var j = 0, slen = sources.length; j < slen; j++ ) {
-    var source = sources[ j ];
-
-    // ignore non-element nodes
-    if ( source.nodeType !== 1 ) {
-      continue;
-    }
+  if ( !data ) {
+    return;
+  }
+  window.clearTimeout( data['sizeTimer'] );
 
-    // Hitting the `img` element that started everything stops the search for `sources`.
-    // If no previous `source` matches, the `img` itself is evaluated later.
-    if ( source === img ) {
-      return match;
+  if ( data['srcset'] ) {
+    img.setAttribute( 'srcset', data['srcset'] );
+    img.removeAttribute( 'data-pfsrcset' );
+  }
+  if ( data['src'] !== undefined ) {
+    picturefill.restoreAttribute_( img, 'src', data['src'] );
+    picturefill.restoreAttribute_( img, 'width', data['width'] );
+    // set by `picturefill.applyBestCandidate` where `currentSrc` isn't native
+    if ( img.hasOwnProperty && img.hasOwnProperty( 'currentSrc' ) ) {
+      picturefill.removeExpando_( img, 'currentSrc' );
     }
+  }
+  if ( data['listening'] ) {
+    img.removeEventListener( 'load', picturefill.imageLoaded_, false );
+    img.removeEventListener( 'error', picturefill.imageLoaded_, false );
+  }
+  if ( data['preloadLink'] && data['preloadLink'].parentNode ) {
+    data['preloadLink'].parentNode.removeChild( data['preloadLink'] );
+  }
 
-    // ignore non-`source` nodes
-    if ( source.nodeName.toUpperCase() !== 'SOURCE' ) {
-      continue;
-    }
-    // if it's a source element that has the `src` property set, throw a warning in the console
-    if ( source.getAttribute( 'src' ) !== null && typeof console !== undefined ) {
-      console.warn('The `src` attribute is invalid on `picture` `source` element; instead, use `srcset`.');
+  if ( support.lazyObserver_ ) {
+    support.lazyObserver_.unobserve( img );
+  }
+  if ( support.lazyImages_ ) {
+    picturefill.removeFromList_( support.lazyImages_, img );
+  }
+  if ( support.autoSizesObserver_ ) {
+    support.autoSizesObserver_.unobserve( img );
+  }
+  picturefill.unwatchMedia_( img );
+  for ( var type in picturefill.typeWaiting_ ) {
+    if ( picturefill.typeWaiting_.hasOwnProperty( type ) ) {
+      picturefill.removeFromList_( picturefill.typeWaiting_[ type ].images, img );
     }
+  }
+  picturefill.removeExpando_( img, picturefill.ns );
+};
 
-    var media = source.getAttribute( 'media' );
+/**
+ * Puts the `video` that `picturefill.removeVideoShim` took out of a `picture` back around its sources
+ * @param {Element} picture
+ * @private
+ */
+picturefill.destroyPicture_ = function( picture ) {
+  var data = picture[ picturefill.ns ],
+    sources;
 
-    // if source does not have a srcset attribute, skip
-    if ( !source.getAttribute( 'srcset' ) ) {
-      continue;
+  if ( !data || !data['video'] ) {
+    return;
+  }
+  sources = data['videoSources'];
+  if ( sources.length && sources[ 0 ].parentNode === picture ) {
+    picture.insertBefore( data['video'], sources[ 0 ] );
+  }
+  for ( var i = 0, len = sources.length; i < len; i++ ) {
+    if ( sources[ i ].parentNode === picture ) {
+      data['video'].appendChild( sources[ i ] );
     }
+  }
+  picturefill.removeExpando_( picture, picturefill.ns );
+};
 
-    // if there's no media specified, OR w.matchMedia is supported
-    if ( ( !media || picturefill.matchesMedia( media ) ) ) {
-      var typeSupported = picturefill.verifyTypeSupport( source );
+/**
+ * Restores the inline style of an element with an `image-set()` background
+ * @param {Element} el
+ * @private
+ */
+picturefill.destroyImageSet_ = function( el ) {
+  var data = el[ picturefill.ns ];
 
-      if ( typeSupported === true ) {
-        match = source;
-        break;
-      } else if ( typeSupported === 'pending' ) {
-        return false;
-      }
+  if ( !data ) {
+    return;
+  }
+  if ( data['style'] !== undefined ) {
+    picturefill.restoreAttribute_( el, 'style', data['style'] );
+  }
+  if ( data['copiedImageSet'] ) {
+    el.removeAttribute( picturefill.imageSetAttr );
+  }
+  for ( var type in picturefill.typeWaiting_ ) {
+    if ( picturefill.typeWaiting_.hasOwnProperty( type ) ) {
+      picturefill.removeFromList_( picturefill.typeWaiting_[ type ].imageSets, el );
     }
   }
-
-  return match;
+  picturefill.removeExpando_( el, picturefill.ns );
 };
 
-/** @param {{elements: (Array<Element>|NodeList), reevaluate: (boolean|undefined)}=} opt */
-picturefill.shim = function ( opt ) {
-  var elements,
-    element,
-    parent,
-    firstMatch,
-    candidates,
-    options = opt || {};
-
-  elements = options['elements'] || picturefill.getAllElements();
-
-  // Loop through all elements
-  for ( var i = 0, plen = elements.length; i < plen; i++ ) {
-    element = elements[ i ];
-    parent = element.parentNode;
-    firstMatch = undefined;
-    candidates = undefined;
-
-    // immediately skip non-`img` nodes
-    if ( element.nodeName.toUpperCase() !== 'IMG' ) {
-      continue;
+/**
+ * Undoes picturefill: restores the `srcset`, `src`, `width` and `style` attributes it changed,
+ * puts back the `video` elements of the IE9 shim, removes its preload links and expandos and
+ * cancels pending timers. Without a root it also detaches every listener and observer, after
+ * which `picturefill.init` can start over, as it does for the document as the root.
+ * Like `picturefill.shim`, it looks into open shadow roots and follows slotted content.
+ * @param {(Document|Element|DocumentFragment)=} root only undo picturefill within this element,
+ *   document fragment or shadow root
+ */
+picturefill.destroy = function( root ) {
+  var support = picturefill.support,
+    scope,
+    elems,
+    roots,
+    records,
+    pending,
+    i,
+    len;
+
+  if ( root === document ) {
+    root = undefined;
+  }
+  scope = root || document;
+
+  // found the way `picturefill.shim` finds them, in open shadow roots too
+  elems = [];
+  picturefill.collectImages_( scope, true, elems );
+  for ( i = 0, len = elems.length; i < len; i++ ) {
+    if ( elems[ i ].parentNode && elems[ i ].parentNode.nodeName.toUpperCase() === 'PICTURE' ) {
+      picturefill.destroyPicture_( elems[ i ].parentNode );
     }
-
-    // expando for caching data on the img
-    if ( !element[ picturefill.ns ] ) {
-      element[ picturefill.ns ] = {};
+    picturefill.destroyImage_( elems[ i ] );
+  }
+  elems = scope.querySelectorAll ?
+    scope.querySelectorAll( '[' + picturefill.imageSetAttr + ']' ) :
+    scope.getElementsByTagName( '*' );
+  for ( i = 0, len = elems.length; i < len; i++ ) {
+    if ( elems[ i ].getAttribute( picturefill.imageSetAttr ) !== null ) {
+      picturefill.destroyImageSet_( elems[ i ] );
     }
-
-    // if the element has already been evaluated, skip it unless
-    // `options.reevaluate` is set to true ( this, for example,
-    // is set to true when running `picturefill` on `resize` ).
-    if ( !options['reevaluate'] && element[ picturefill.ns ]['evaluated'] ) {
-      continue;
+  }
+  if ( root ) {
+    // the root itself, where it is an element
+    if ( root.nodeType === 1 && root.getAttribute( picturefill.imageSetAttr ) !== null ) {
+      picturefill.destroyImageSet_( root );
     }
 
-    // if `img` is in a `picture` element
-    if ( parent.nodeName.toUpperCase() === 'PICTURE' ) {
-
-      // IE9 video workaround
-      picturefill.removeVideoShim( parent );
-
-      // return the first match which might undefined
-      // returns false if there is a pending source
-      // TODO the return type here is brutal, cleanup
-      firstMatch = picturefill.getMatch( element, parent );
-
-      // if any sources are pending in this picture due to async type test(s)
-      // remove the evaluated attr and skip for now ( the pending test will
-      // rerun picturefill on this element when complete)
-      if ( firstMatch === false ) {
-        continue;
+    // roots within it are no longer evaluated on resize
+    roots = [];
+    for ( i = 0, len = support.shimRoots_ ? support.shimRoots_.length : 0; i < len; i++ ) {
+      if ( !picturefill.contains_( root, support.shimRoots_[ i ].root ) ) {
+        roots.push( support.shimRoots_[ i ] );
       }
-    } else {
-      firstMatch = undefined;
     }
-
-    // Cache and remove `srcset` if present and we’re going to be doing `picture`/`srcset`/`sizes` polyfilling to it.
-    if ( parent.nodeName.toUpperCase() === 'PICTURE' ||
-    ( element.srcset && !picturefill.support.srcsetSupported ) ||
-    ( !picturefill.support.sizesSupported && ( element.srcset && element.srcset.indexOf('w') > -1 ) ) ) {
-      picturefill.dodgeSrcset( element );
+    support.shimRoots_ = roots;
+
+    // the restored attributes are not new markup to shim, changes elsewhere still are
+    if ( support.mutationObserver_ ) {
+      records = support.mutationObserver_.takeRecords();
+      pending = [];
+      for ( i = 0, len = records.length; i < len; i++ ) {
+        if ( !picturefill.contains_( root, records[ i ].target ) ) {
+          pending.push( records[ i ] );
+        }
+      }
+      if ( pending.length ) {
+        picturefill.mutated_( pending );
+      }
     }
+    return;
+  }
 
-    if ( firstMatch ) {
-      candidates = picturefill.processSourceSet( /** @type {HTMLImageElement} */ (firstMatch) );
-      picturefill.applyBestCandidate( candidates, element );
-    } else {
-      // No sources matched, so we’re down to processing the inner `img` as a source.
-      candidates = picturefill.processSourceSet( element );
+  if ( window.removeEventListener ) {
+    window.removeEventListener( 'resize', picturefill.checkResize, false );
+    window.removeEventListener( 'scroll', picturefill.checkLazy, false );
+    window.removeEventListener( 'resize', picturefill.checkLazy, false );
+  } else if ( window.detachEvent ) {
+    window.detachEvent( 'onresize', picturefill.checkResize );
+    window.detachEvent( 'onscroll', picturefill.checkLazy );
+    window.detachEvent( 'onresize', picturefill.checkLazy );
+  }
+  picturefill.unwatchDpr();
 
-      if ( element.srcset === undefined || element[ picturefill.ns ]['srcset'] ) {
-        // Either `srcset` is completely unsupported, or we need to polyfill `sizes` functionality.
-        picturefill.applyBestCandidate( candidates, element );
-      } // Else, resolution-only `srcset` is supported natively.
+  for ( var media in support.mediaQueries_ ) {
+    if ( support.mediaQueries_.hasOwnProperty( media ) ) {
+      support.mediaQueries_[ media ].mql.removeListener( picturefill.mediaChanged_ );
     }
-
-    // set evaluated to true to avoid unnecessary reparsing
-    element[ picturefill.ns ]['evaluated'] = true;
   }
-};
+  support.mediaQueries_ = null;
+  support.shimRoots_ = null;
 
-picturefill.checkResize = function() {
-  if ( !picturefill.support.picturefillWorking_ ) {
-    picturefill.support.picturefillWorking_ = true;
-    window.clearTimeout( picturefill.support.resizeThrottle );
-    picturefill.support.resizeThrottle = setTimeout( picturefill.afterResize_, 60 );
+  if ( support.mutationObserver_ ) {
+    support.mutationObserver_.disconnect();
+    support.mutationObserver_ = null;
   }
-};
-
-picturefill.afterResize_ = function() {
-  picturefill.shim({ 'reevaluate': true, 'elements': null });
-  picturefill.support.picturefillWorking_ = false;
-};
-
-picturefill.init = function () {
-  // If picture is supported, well, that's awesome. Let's get outta here...
-  if (window.HTMLPictureElement) {
-    return;
+  if ( support.lazyObserver_ ) {
+    support.lazyObserver_.disconnect();
+    support.lazyObserver_ = null;
   }
+  if ( support.autoSizesObserver_ ) {
+    support.autoSizesObserver_.disconnect();
+    support.autoSizesObserver_ = null;
+  }
+  support.lazyImages_ = null;
 
-  // HTML shim|v it for old IE (IE9 will still need the HTML video tag workaround)
-  document.createElement('picture');
-
-  picturefill.shim();
+  window.clearTimeout( support.resizeThrottle );
+  window.clearTimeout( support.lazyThrottle );
+  support.picturefillWorking_ = false;
+  support.lazyWorking_ = false;
 
-  if (window.addEventListener) {
-    window.addEventListener('resize', picturefill.checkResize, false);
-  } else if (window.attachEvent) {
-    window.attachEvent('onresize', picturefill.checkResize);
+  if ( support.lengthEl && support.lengthEl.parentNode ) {
+    support.lengthEl.parentNode.removeChild( support.lengthEl );
   }
+  support.lengthEl = null;
+
+  picturefill.typeWaiting_ = {};
+  support.initialized_ = false;
 };
 
 picturefill.init();
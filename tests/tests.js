@@ -13,6 +13,13 @@
 		originalMatchesMedia,
 		originalProcessSourceSet,
 		originalGetWidthFromLength,
+		originalGetViewport,
+		originalGetInitialFontSize,
+		originalGetConnection,
+		originalGetRenderedWidth,
+		originalIsNearViewport,
+		originalTypeCacheStorage,
+		originalRetries,
 		originalRestrictsMixedContentMethod;
 
 	pf = picturefill._;
@@ -26,6 +33,15 @@
 			originalProcessSourceSet = pf.processSourceSet;
 			originalGetWidthFromLength = pf.getWidthFromLength;
 			originalrestrictsMixedContentMethod = pf.restrictsMixedContent;
+			originalGetViewport = pf.getViewport;
+			originalGetInitialFontSize = pf.getInitialFontSize;
+			originalGetConnection = pf.getConnection;
+			originalGetRenderedWidth = pf.getRenderedWidth;
+			originalIsNearViewport = pf.isNearViewport;
+			originalTypeCacheStorage = pf.typeCacheStorage;
+			originalRetries = pf.retries;
+			// keep test types out of the real cache
+			pf.typeCacheStorage = "";
 		},
 
 		teardown: function() {
@@ -34,24 +50,78 @@
 			pf.matchesMedia = originalMatchesMedia;
 			pf.processSourceSet = originalProcessSourceSet;
 			pf.restrictsMixedContent = originalrestrictsMixedContentMethod;
+			pf.getViewport = originalGetViewport;
+			pf.getInitialFontSize = originalGetInitialFontSize;
+			pf.getConnection = originalGetConnection;
+			pf.getRenderedWidth = originalGetRenderedWidth;
+			pf.isNearViewport = originalIsNearViewport;
+			pf.typeCacheStorage = originalTypeCacheStorage;
+			pf.networkAware = false;
+			pf.neverDowngrade = false;
+			pf.maxDpr = 0;
+			pf.retries = originalRetries;
+			// failed urls would be passed over in later tests
+			pf.failed_ = {};
 		}
 	});
 
 	test("getWidthFromLength", function() {
-		var calcTest = (function() {
-			var fullWidthEl = document.createElement( "div" );
-			(document.body || document.documentElement).appendChild( fullWidthEl );
+		pf.getViewport = function() {
+			return { width: 1000, height: 500 };
+		};
 
-			var gotWidth = pf.getWidthFromLength("calc(766px - 1em)");
-			var returnValue = ( gotWidth === 750 || gotWidth === document.documentElement.offsetWidth );
+		equal( pf.getWidthFromLength("750px"), 750, "returns int value of width string" );
+		equal( pf.getWidthFromLength("calc(766px - 1em)"), 750, "`calc(766px - 1em)` returned `750px` whether or not the browser supports `calc`" );
+		equal( pf.getWidthFromLength("min(100vw, 1200px)"), 1000, "`min()` is evaluated" );
+		equal( pf.getWidthFromLength("50%"), 1000, "percentages default to `100vw`" );
+	});
+
+	test("evaluateLength", function() {
+		pf.getViewport = function() {
+			return { width: 1000, height: 500 };
+		};
+		pf.getInitialFontSize = function() {
+			return 20;
+		};
 
-			fullWidthEl.parentNode.removeChild( fullWidthEl );
+		equal( pf.evaluateLength("750px"), 750, "px" );
+		equal( pf.evaluateLength("1.5em"), 30, "em is relative to the initial font size" );
+		equal( pf.evaluateLength("2rem"), 40, "rem is relative to the initial font size" );
+		equal( pf.evaluateLength("2ch"), 20, "ch is half an em" );
+		equal( pf.evaluateLength("2ex"), 20, "ex is half an em" );
+		equal( pf.evaluateLength("50vw"), 500, "vw is relative to the viewport width" );
+		equal( pf.evaluateLength("50vh"), 250, "vh is relative to the viewport height" );
+		equal( pf.evaluateLength("10vmin"), 50, "vmin is relative to the smaller viewport side" );
+		equal( pf.evaluateLength("10vmax"), 100, "vmax is relative to the larger viewport side" );
+		equal( pf.evaluateLength("0"), 0, "unitless zero" );
+		equal( pf.evaluateLength("5"), null, "unitless lengths other than zero can't be evaluated" );
+	});
 
-			return returnValue;
-		}());
+	test("evaluateLength with math functions", function() {
+		pf.getViewport = function() {
+			return { width: 1000, height: 500 };
+		};
+		pf.getInitialFontSize = function() {
+			return 16;
+		};
 
-		equal( pf.getWidthFromLength("750px"), 750, "returns int value of width string" );
-		ok( calcTest, "If `calc` is supported, `calc(766px - 1em)` returned `750px`. If `calc` is unsupported, the value was discarded and defaulted to `100vw`.");
+		equal( pf.evaluateLength("calc(100vw - 10px)"), 990, "calc() with mixed units" );
+		equal( pf.evaluateLength("calc((100vw - 20px) / 2)"), 490, "parentheses group" );
+		equal( pf.evaluateLength("calc(3 / 2 * 10px)"), 15, "numbers multiply lengths" );
+		equal( pf.evaluateLength("min(100vw, 1200px)"), 1000, "min()" );
+		equal( pf.evaluateLength("max(10px, 2em)"), 32, "max()" );
+		equal( pf.evaluateLength("clamp(320px, 50vw - 2rem, 960px)"), 468, "clamp() with a preferred value between the bounds" );
+		equal( pf.evaluateLength("clamp(320px, 10vw, 960px)"), 320, "clamp() with a preferred value below the minimum" );
+		equal( pf.evaluateLength("calc(100vw - min(10px, 5vw) * 2)"), 980, "nested functions" );
+		equal( pf.evaluateLength("-webkit-calc(1px + 1px)"), 2, "prefixed calc()" );
+
+		equal( pf.evaluateLength("calc(10px -2px)"), null, "`-` needs whitespace around it" );
+		equal( pf.evaluateLength("calc(10px + 2)"), null, "lengths can't be added to numbers" );
+		equal( pf.evaluateLength("calc(10px * 2px)"), null, "lengths can't be multiplied together" );
+		equal( pf.evaluateLength("calc(10px / 0)"), null, "division by zero" );
+		equal( pf.evaluateLength("calc(50% - 10px)"), null, "percentages are not lengths" );
+		equal( pf.evaluateLength("clamp(1px, 2px)"), null, "clamp() takes three arguments" );
+		equal( pf.evaluateLength("calc(2 * 3)"), null, "the result must be a length" );
 	});
 
 	test("findWidthFromSourceSize", function() {
@@ -69,6 +139,12 @@
 		};
 		width = pf.findWidthFromSourceSize(sizes);
 		equal(width, 500, "returns 500 when match media returns false");
+
+		pf.matchesMedia = function(media) {
+			return true;
+		};
+		width = pf.findWidthFromSourceSize("only screen and (max-width: 30em) 1000px, (max-width: 30em) 50%, 500px");
+		equal(width, 500, "skips invalid entries");
 	});
 
 	test("setInherentSize", function() {
@@ -95,9 +171,9 @@
 		};
 		deepEqual(pf.parseSize(size1), expected1, "Length and Media are empty");
 
-		var size2 = "( max-width: 50em ) 50%";
+		var size2 = "( max-width: 50em ) 50vw";
 		var expected2 = {
-			length: "50%",
+			length: "50vw",
 			media: "( max-width: 50em )"
 		};
 		deepEqual(pf.parseSize(size2), expected2, "Length and Media are properly parsed");
@@ -108,6 +184,60 @@
 			media: "(min-width:30em)"
 		};
 		deepEqual(pf.parseSize(size3), expected3, "Length and Media are properly parsed");
+
+		var size4 = "(min-width: 30em) and (max-width: 50em) min(100vw, 1200px)";
+		var expected4 = {
+			length: "min(100vw, 1200px)",
+			media: "(min-width: 30em) and (max-width: 50em)"
+		};
+		deepEqual(pf.parseSize(size4), expected4, "A function is taken as the length");
+
+		deepEqual(pf.parseSize("(max-width: 50em) 50%"), expected1, "Percentages are invalid");
+		deepEqual(pf.parseSize("only screen and (max-width: 50em) 50vw"), expected1, "Media queries with a media type are invalid");
+		deepEqual(pf.parseSize("(max-width: 50em)"), expected1, "A media condition alone is invalid");
+	});
+
+	test("parseMediaCondition", function() {
+		deepEqual(pf.parseMediaCondition("(min-width: 30em)"), { type: "feature", media: "(min-width: 30em)" });
+		deepEqual(pf.parseMediaCondition("not (color)"), {
+			type: "not",
+			conditions: [ { type: "feature", media: "(color)" } ]
+		});
+		deepEqual(pf.parseMediaCondition("(min-width: 30em) AND ((max-width: 50em) or (foo bar))"), {
+			type: "and",
+			conditions: [
+				{ type: "feature", media: "(min-width: 30em)" },
+				{
+					type: "or",
+					conditions: [
+						{ type: "feature", media: "(max-width: 50em)" },
+						{ type: "unknown" }
+					]
+				}
+			]
+		});
+
+		equal(pf.parseMediaCondition("(min-width: 30em) and (max-width: 50em) or (color)"), null, "`and` and `or` can not be mixed" );
+		equal(pf.parseMediaCondition("screen and (color)"), null, "media types are invalid" );
+		equal(pf.parseMediaCondition("(min-width: 30em"), null, "unclosed parenthesis is invalid" );
+		deepEqual(pf.parseMediaCondition("not(color)"), { type: "unknown" }, "`not(` is a function, not the keyword" );
+		equal(pf.parseMediaCondition("(color) and(min-width: 30em)"), null, "`and(` is a function, not the keyword" );
+		equal(pf.parseMediaCondition("(color) or(min-width: 30em)"), null, "`or(` is a function, not the keyword" );
+	});
+
+	test("matchesMediaCondition", function() {
+		pf.matchesMedia = function(media) {
+			return media === "(min-width: 30em)";
+		};
+
+		ok(pf.matchesMediaCondition("(min-width: 30em)"));
+		ok(!pf.matchesMediaCondition("not (min-width: 30em)"));
+		ok(pf.matchesMediaCondition("(max-width: 20em) or (min-width: 30em)"));
+		ok(!pf.matchesMediaCondition("(max-width: 20em) and (min-width: 30em)"));
+		ok(!pf.matchesMediaCondition("not (foo bar)"), "unknown conditions never match" );
+		ok(!pf.matchesMediaCondition("not(max-width: 20em)"), "neither do functions" );
+		ok(pf.matchesMediaCondition("(foo bar) or (min-width: 30em)"));
+		ok(!pf.matchesMediaCondition("only screen and (min-width: 30em)"), "invalid conditions never match" );
 	});
 
 	test("getCandidatesFromSourceSet", function() {
@@ -188,7 +318,7 @@
 		// Test with "sizes" passed with % lengths specified
 		var candidate6 = "\npic320.png 320w	, pic640.png		640w, pic768.png 768w, \
 		\npic1536.png 1536w, pic2048.png	2048w	";
-		var sizes6 = "	(max-width: 30em) 100%,	(max-width: 50em) 50%, 33%";
+		var sizes6 = "	(max-width: 30em) 100vw,	(max-width: 50em) 50vw, 33vw";
 		var expectedCandidates = [
 			{
 				resolution: 0.5,
@@ -222,14 +352,14 @@
 
 		deepEqual(pf.getCandidatesFromSourceSet(candidate6, sizes6), expectedCandidates, "`" + candidate6 + "` is parsed correctly" );
 
-		var srcset1 = "foo,bar.png 320w, bar,baz.png 320w";
+		var srcset1 = "foo,bar.png 320w, bar,baz.png 640w";
 		var expectedresult1 = [
 			{
 				url: "foo,bar.png",
 				resolution: 0.5
 			},{
 				url: "bar,baz.png",
-				resolution: 0.5
+				resolution: 1
 			}
 		];
 		deepEqual(pf.getCandidatesFromSourceSet(srcset1), expectedresult1, "`" + srcset1 + "` is parsed correctly" );
@@ -239,9 +369,6 @@
 			{
 				url: "foo,bar.png",
 				resolution: 0.5
-			},{
-				url: "bar,baz.png",
-				resolution: 0.5
 			}
 		];
 
@@ -252,9 +379,6 @@
 			{
 				url: "foo.png",
 				resolution: 1
-			},{
-				url: "bar.png",
-				resolution: -2
 			}
 		];
 		deepEqual(pf.getCandidatesFromSourceSet(srcset3), expectedresult3, "`" + srcset3 + "` is parsed correctly" );
@@ -264,9 +388,6 @@
 			{
 				url: "foo.png",
 				resolution: 1
-			},{
-				url: "bar.png",
-				resolution: 1
 			}
 		];
 		deepEqual(pf.getCandidatesFromSourceSet(srcset4), expectedresult4, "`" + srcset4 + "` is parsed correctly" );
@@ -303,9 +424,6 @@
 			},{
 				url: "1x.gif",
 				resolution: 1
-			},{
-				url: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUg",
-				resolution: 1
 			}
 		];
 		deepEqual(pf.getCandidatesFromSourceSet(srcset7), expectedresult7, "`" + srcset7 + "` is parsed correctly" );
@@ -338,27 +456,6 @@
 			{
 				url: "1x",
 				resolution: 1
-			},{
-				url: "x",
-				resolution: 1
-			},{
-				url: "2x",
-				resolution: 1
-			},{
-				url: "1x.gif",
-				resolution: 1
-			},{
-				url: "3x",
-				resolution: 1
-			},{
-				url: "4x.gif",
-				resolution: 4
-			},{
-				url: "5x.gif",
-				resolution: 1
-			},{
-				url: "dx.gif",
-				resolution: 1
 			},{
 				url: "2x.gif",
 				resolution: 2
@@ -367,6 +464,101 @@
 		deepEqual(pf.getCandidatesFromSourceSet(srcset10), expectedresult10, "`" + srcset10 + "` is parsed correctly" );
 	});
 
+	test("parseSrcset", function() {
+		var errors = [];
+
+		deepEqual(pf.parseSrcset("data:image/gif;base64,R0lGOD,lhA 2x, foo.png 1x"), [
+			{ url: "data:image/gif;base64,R0lGOD,lhA", descriptor: { w: undefined, h: undefined, x: 2 } },
+			{ url: "foo.png", descriptor: { w: undefined, h: undefined, x: 1 } }
+		], "commas inside a URL are kept" );
+
+		deepEqual(pf.parseSrcset("foo.png,, bar.png  100w   ,baz.png"), [
+			{ url: "foo.png", descriptor: { w: undefined, h: undefined, x: undefined } },
+			{ url: "bar.png", descriptor: { w: 100, h: undefined, x: undefined } },
+			{ url: "baz.png", descriptor: { w: undefined, h: undefined, x: undefined } }
+		], "trailing commas and whitespace between descriptors are skipped" );
+
+		deepEqual(pf.parseSrcset("foo.png (a, b) 1x, bar.png 2x"), [
+			{ url: "bar.png", descriptor: { w: undefined, h: undefined, x: 2 } }
+		], "commas inside parentheses do not end a candidate" );
+
+		deepEqual(pf.parseSrcset(", foo.png 100w 2x, bar.png 0w, baz.png 1x,, qux.png 50h", errors), [
+			{ url: "baz.png", descriptor: { w: undefined, h: undefined, x: 1 } }
+		], "invalid candidates are dropped" );
+
+		deepEqual(errors, [
+			{ offset: 0, reason: pf.SrcsetError.STRAY_COMMA },
+			{ offset: 2, reason: pf.SrcsetError.CONFLICTING_DESCRIPTORS },
+			{ offset: 19, reason: pf.SrcsetError.INVALID_WIDTH },
+			{ offset: 42, reason: pf.SrcsetError.STRAY_COMMA },
+			{ offset: 44, reason: pf.SrcsetError.HEIGHT_WITHOUT_WIDTH }
+		], "a parse error is reported for each stray comma and dropped candidate" );
+	});
+
+	test("parseDescriptor", function() {
+		deepEqual(pf.parseDescriptor("400w 300h"), { w: 400, h: 300, x: undefined }, "width and height are parsed" );
+		deepEqual(pf.parseDescriptor([ "1.5x" ]), { w: undefined, h: undefined, x: 1.5 }, "density is parsed from a token list" );
+		deepEqual(pf.parseDescriptor(""), { w: undefined, h: undefined, x: undefined }, "no descriptors is valid" );
+
+		equal(pf.parseDescriptor("100w 2x"), pf.SrcsetError.CONFLICTING_DESCRIPTORS, "width and density can not be mixed" );
+		equal(pf.parseDescriptor("2x 100h"), pf.SrcsetError.CONFLICTING_DESCRIPTORS, "height and density can not be mixed" );
+		equal(pf.parseDescriptor("100w 200w"), pf.SrcsetError.DUPLICATE_DESCRIPTOR, "width can only be given once" );
+		equal(pf.parseDescriptor("0w"), pf.SrcsetError.INVALID_WIDTH, "width must be greater than zero" );
+		equal(pf.parseDescriptor("-100w"), pf.SrcsetError.INVALID_WIDTH, "width must not be negative" );
+		equal(pf.parseDescriptor("1.5w"), pf.SrcsetError.INVALID_WIDTH, "width must be an integer" );
+		equal(pf.parseDescriptor("-2x"), pf.SrcsetError.INVALID_DENSITY, "density must not be negative" );
+		equal(pf.parseDescriptor("1.x"), pf.SrcsetError.INVALID_DENSITY, "density must be a valid floating-point number" );
+		equal(pf.parseDescriptor("100h"), pf.SrcsetError.HEIGHT_WITHOUT_WIDTH, "height requires a width" );
+		equal(pf.parseDescriptor("2q"), pf.SrcsetError.UNKNOWN_DESCRIPTOR, "unknown descriptors are invalid" );
+	});
+
+	test("serializeSrcset", function() {
+		var srcset = "data:image/gif;base64,R0lGOD,lhA 2x, foo.png 1x, bar,baz.png, qux.png 100w 20h";
+
+		equal(pf.serializeSrcset([
+			{ url: "a.png", descriptor: { w: 400 } },
+			{ url: "b c.png", descriptor: { w: 800, h: 600 } },
+			{ url: ",c,", descriptor: { x: 1.5 } },
+			{ url: "d.png" }
+		]), "a.png 400w, b%20c.png 800w 600h, %2Cc%2C 1.5x, d.png", "urls are escaped and absent descriptors left out" );
+
+		equal(pf.serializeSrcset(pf.parseSrcset(srcset)), srcset, "serializing parsed candidates gives back the srcset" );
+		deepEqual(pf.parseSrcset(pf.serializeSrcset([ { url: "a b,", descriptor: { x: 2 } } ])), [
+			{ url: "a%20b%2C", descriptor: { w: undefined, h: undefined, x: 2 } }
+		], "escaped urls parse back as a single candidate" );
+
+		throws(function() {
+			pf.serializeSrcset([ { url: "" } ]);
+		}, "a url is required" );
+		throws(function() {
+			pf.serializeSrcset([ { url: "a.png", descriptor: { w: 400, x: 2 } } ]);
+		}, "width and density can not be mixed" );
+		throws(function() {
+			pf.serializeSrcset([ { url: "a.png", descriptor: { x: -1 } } ]);
+		}, "density must not be negative" );
+	});
+
+	test("serializeSizes", function() {
+		var sizes = "(min-width: 30em) and (max-width: 50em) min(100vw, 1200px), (max-width: 10em) 50vw, clamp(320px, 50vw - 2rem, 960px)";
+
+		equal(pf.serializeSizes([
+			{ media: "(max-width: 30em)", length: "100vw" },
+			{ media: null, length: "33vw" }
+		]), "(max-width: 30em) 100vw, 33vw" );
+
+		equal(pf.serializeSizes(pf.parseSizes(sizes)), sizes, "serializing parsed entries gives back the sizes" );
+
+		throws(function() {
+			pf.serializeSizes([ { media: "only screen", length: "10px" } ]);
+		}, "media must be a media condition" );
+		throws(function() {
+			pf.serializeSizes([ { media: null, length: "50%" } ]);
+		}, "length must be valid" );
+		throws(function() {
+			pf.serializeSizes([ { media: null, length: "10px, 20px" } ]);
+		}, "an entry must not serialize to several entries" );
+	});
+
 	test("verifyTypeSupport", function() {
 		expect( 7 );
 
@@ -453,6 +645,641 @@
 		deepEqual(image.currentSrc, "foo300", "currentSrc left alone when matched" );
 	});
 
+	test("sortCandidates", function() {
+		var candidates = [
+			{ resolution: 2, url: "a" },
+			{ resolution: 1, url: "b" },
+			{ resolution: 2, url: "c" },
+			{ resolution: 1, url: "d" },
+			{ resolution: 0.5, url: "e" }
+		];
+
+		deepEqual(pf.sortCandidates( candidates ), [
+			{ resolution: 0.5, url: "e" },
+			{ resolution: 1, url: "b" },
+			{ resolution: 1, url: "d" },
+			{ resolution: 2, url: "a" },
+			{ resolution: 2, url: "c" }
+		], "ties keep their source order" );
+	});
+
+	test("getCandidates", function() {
+		var img = document.createElement( "img" );
+
+		deepEqual(pf.getCandidates( img ), [], "nothing before the image is evaluated" );
+
+		img.setAttribute( "srcset", "b.png 2x, a.png 1x, c.png 2x" );
+		document.getElementById( "qunit-fixture" ).appendChild( img );
+		pf.getDpr = function() {
+			return 1;
+		};
+		pf.shim({ reevaluate: true, elements: [ img ] });
+
+		deepEqual(pf.getCandidates( img ), [
+			{ resolution: 1, url: "a.png" },
+			{ resolution: 2, url: "b.png" }
+		], "duplicate resolutions are dropped and the list is sorted" );
+	});
+
+	test("parseImageSet", function() {
+		deepEqual(pf.parseImageSet("image-set(url(a.webp) type('image/webp'), 'a.png' 1x, url(\"b.png\") 2dppx, url(c.png) 288dpi)"), [
+			{ url: "a.webp", resolution: 1, type: "image/webp" },
+			{ url: "a.png", resolution: 1, type: null },
+			{ url: "b.png", resolution: 2, type: null },
+			{ url: "c.png", resolution: 3, type: null }
+		], "urls, strings, resolutions and types are parsed" );
+
+		deepEqual(pf.parseImageSet("-webkit-image-set(url(a.png) 1x)"), [
+			{ url: "a.png", resolution: 1, type: null }
+		], "the prefixed function is parsed" );
+
+		equal(pf.parseImageSet("url(a.png)"), null, "not an image-set()" );
+		equal(pf.parseImageSet("image-set(a.png 1x)"), null, "images must be urls or strings" );
+		equal(pf.parseImageSet("image-set(url(a.png) 1x 2x)"), null, "only one resolution per option" );
+		equal(pf.parseImageSet("image-set(url(a.png) 1q)"), null, "unknown resolution units are invalid" );
+	});
+
+	test("shimImageSets", function() {
+		var fixture = document.getElementById( "qunit-fixture" ),
+			inline = document.createElement( "div" ),
+			attr = document.createElement( "div" );
+
+		inline.setAttribute( "style", "background-image: image-set(url(a.foo) type('image/foo'), url(a1.png) 1x, url(a2.png) 2x)" );
+		attr.setAttribute( pf.imageSetAttr, "image-set(url(b1.png) 1x, url(b2.png) 2x)" );
+		fixture.appendChild( inline );
+		fixture.appendChild( attr );
+
+		pf.types[ "image/foo" ] = false;
+		pf.getDpr = function() {
+			return 2;
+		};
+		pf.shimImageSets({ reevaluate: true });
+
+		equal( inline.getAttribute( pf.imageSetAttr ), "image-set(url(a.foo) type('image/foo'), url(a1.png) 1x, url(a2.png) 2x)", "inline values are kept in the attribute" );
+		if ( !pf.support.imageSetSupported ) {
+			ok( /a2\.png/.test( inline.style.backgroundImage ), "the candidate for the dpr is applied" );
+			ok( /b2\.png/.test( attr.style.backgroundImage ), "values in the attribute are applied" );
+
+			pf.types[ "image/foo" ] = true;
+			pf.getDpr = function() {
+				return 1;
+			};
+			pf.shimImageSets({ reevaluate: true });
+
+			ok( /a\.foo/.test( inline.style.backgroundImage ), "the first candidate of a supported type wins ties" );
+			ok( /b1\.png/.test( attr.style.backgroundImage ), "candidates are re-evaluated" );
+		}
+	});
+
+	test("selectCandidate strategies", function() {
+		var candidates = [
+			{ resolution: 1, url: "1x" },
+			{ resolution: 1.8, url: "1.8x" },
+			{ resolution: 3, url: "3x" }
+		];
+		var img = document.createElement( "img" );
+		var picture = document.createElement( "picture" );
+
+		pf.getDpr = function() {
+			return 2;
+		};
+
+		equal( pf.selectCandidate( candidates.slice() ).url, "3x", "ceiling is the default" );
+
+		img.setAttribute( "data-pfstrategy", "floor" );
+		equal( pf.selectCandidate( candidates.slice(), 500, img ).url, "1.8x", "floor" );
+
+		img.setAttribute( "data-pfstrategy", "nearest" );
+		equal( pf.selectCandidate( candidates.slice(), 500, img ).url, "1.8x", "nearest" );
+
+		img.setAttribute( "data-pfstrategy", "tolerance" );
+		equal( pf.selectCandidate( candidates.slice(), 500, img ).url, "1.8x", "tolerance accepts 1.8x on a 2x screen" );
+
+		img.removeAttribute( "data-pfstrategy" );
+		picture.setAttribute( "data-pfstrategy", "floor" );
+		picture.appendChild( img );
+		equal( pf.selectCandidate( candidates.slice(), 500, img ).url, "1.8x", "the strategy of the picture is used" );
+
+		pf.registerStrategy( "custom", function( sorted, dpr, slotWidth ) {
+			equal( dpr, 2, "custom strategies get the dpr" );
+			equal( slotWidth, 500, "custom strategies get the slot width" );
+			deepEqual( sorted, candidates, "custom strategies get the sorted candidates" );
+			return sorted[ 0 ];
+		});
+		img.setAttribute( "data-pfstrategy", "custom" );
+		equal( pf.selectCandidate( candidates.slice().reverse(), 500, img ).url, "1x", "custom strategy" );
+
+		equal( pf.selectCandidate( [], 500, img ), undefined, "no candidates" );
+	});
+
+	test("network aware selection", function() {
+		var candidates = [
+			{ resolution: 1, url: "1x" },
+			{ resolution: 1.5, url: "1.5x" },
+			{ resolution: 2, url: "2x" }
+		];
+		var originalNetworkPolicy = pf.networkPolicy;
+
+		pf.getDpr = function() {
+			return 2;
+		};
+		pf.getConnection = function() {
+			return { effectiveType: "4g", saveData: true, downlink: 10 };
+		};
+
+		equal( pf.selectCandidate( candidates.slice() ).url, "2x", "the connection is ignored unless networkAware is set" );
+
+		pf.networkAware = true;
+		equal( pf.selectCandidate( candidates.slice() ).url, "1x", "Save-Data caps the dpr at 1" );
+
+		pf.getConnection = function() {
+			return { effectiveType: "3g", saveData: false, downlink: 1.5 };
+		};
+		equal( pf.selectCandidate( candidates.slice() ).url, "1.5x", "3g caps the dpr at 1.5" );
+
+		pf.getConnection = function() {
+			return null;
+		};
+		equal( pf.selectCandidate( candidates.slice() ).url, "2x", "no limits without connection info" );
+
+		pf.networkPolicy = function() {
+			return { maxWidth: 700 };
+		};
+		equal( pf.selectCandidate( candidates.slice(), 400 ).url, "1.5x", "candidates wider than maxWidth are skipped" );
+		equal( pf.selectCandidate( candidates.slice(), 1000 ).url, "1x", "the smallest candidate is kept when all are too wide" );
+
+		pf.networkPolicy = originalNetworkPolicy;
+	});
+
+	test("never downgrade on re-evaluation", function() {
+		var candidates = [
+			{ resolution: 1, url: "one.png" },
+			{ resolution: 2, url: "two.png" }
+		];
+		var picture = document.createElement( "picture" );
+		var source = document.createElement( "source" );
+		var img = document.createElement( "img" );
+
+		pf.getDpr = function() {
+			return 1;
+		};
+
+		img.src = "two.png";
+		pf.applyBestCandidate( candidates.slice(), img, undefined, true );
+		ok( pf.endsWith( img.src, "two.png" ), "a larger loaded candidate is kept" );
+
+		pf.getDpr = function() {
+			return 3;
+		};
+		img.src = "one.png";
+		pf.applyBestCandidate( candidates.slice(), img, undefined, true );
+		ok( pf.endsWith( img.src, "two.png" ), "a smaller loaded candidate is still upgraded" );
+
+		source.setAttribute( "srcset", "one.png 1x, two.png 2x" );
+		picture.appendChild( source );
+		picture.appendChild( img );
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+
+		pf.getDpr = function() {
+			return 2;
+		};
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "two.png" ), "the first selection picks the 2x candidate" );
+
+		pf.getDpr = function() {
+			return 1;
+		};
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "one.png" ), "images downgrade by default" );
+
+		pf.getDpr = function() {
+			return 2;
+		};
+		pf.shim({ elements: [ img ], reevaluate: true });
+		picture.setAttribute( "data-pfneverdowngrade", "" );
+		pf.getDpr = function() {
+			return 1;
+		};
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "two.png" ), "data-pfneverdowngrade on the picture keeps the larger image" );
+
+		picture.removeAttribute( "data-pfneverdowngrade" );
+		pf.neverDowngrade = true;
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "two.png" ), "picturefill.neverDowngrade keeps the larger image" );
+	});
+
+	test("maxDpr caps the device pixel ratio", function() {
+		var candidates = [
+			{ resolution: 1, url: "1x" },
+			{ resolution: 2, url: "2x" },
+			{ resolution: 3, url: "3x" }
+		];
+
+		pf.getDpr = function() {
+			return 3;
+		};
+		equal( pf.selectCandidate( candidates.slice() ).url, "3x", "no cap by default" );
+
+		pf.maxDpr = 2;
+		equal( pf.selectCandidate( candidates.slice() ).url, "2x", "candidates are picked for the capped ratio" );
+	});
+
+	test("watchDpr", function() {
+		var originalGetMediaQueryList = pf.getMediaQueryList;
+		var originalCheckResize = pf.checkResize;
+		var dpr = 1;
+		var queries = [];
+		var removed = 0;
+		var resized = 0;
+
+		pf.getDpr = function() {
+			return dpr;
+		};
+		pf.getMediaQueryList = function( media ) {
+			var mql = {
+				media: media,
+				addListener: function( listener ) {
+					mql.listener = listener;
+				},
+				removeListener: function() {
+					removed++;
+				}
+			};
+			queries.push( mql );
+			return mql;
+		};
+		pf.checkResize = function() {
+			resized++;
+		};
+
+		pf.watchDpr();
+		equal( queries.length, 1, "a query is watched" );
+		ok( queries[ 0 ].media.indexOf( "(resolution: 1dppx)" ) === 0, "the query matches the current ratio" );
+
+		dpr = 2;
+		queries[ 0 ].listener();
+		equal( removed, 1, "the old query is no longer watched" );
+		ok( queries[ 1 ].media.indexOf( "(resolution: 2dppx)" ) === 0, "the new ratio is watched" );
+		equal( resized, 1, "images are re-evaluated" );
+
+		pf.maxDpr = 1.5;
+		dpr = 3;
+		queries[ 1 ].listener();
+		equal( resized, 1, "a change above the cap is ignored" );
+
+		dpr = 1;
+		queries[ 2 ].listener();
+		equal( resized, 2, "a change across the cap re-evaluates images" );
+
+		pf.unwatchDpr();
+		equal( removed, 4, "unwatchDpr removes the listener" );
+
+		pf.getDpr = originalDprMethod;
+		pf.getMediaQueryList = originalGetMediaQueryList;
+		pf.checkResize = originalCheckResize;
+		pf.watchDpr();
+	});
+
+	test( "images are re-evaluated when their media queries change", function() {
+		var originalGetMediaQueryList = pf.getMediaQueryList,
+			originalMediaQueries = pf.support.mediaQueries_,
+			queries = {},
+			wide = false,
+			pictures = document.createElement( "div" ),
+			images,
+			resizes;
+
+		pf.getMediaQueryList = function( media ) {
+			var mql = {
+				media: media,
+				addListener: function( listener ) {
+					mql.listener = listener;
+				},
+				removeListener: function() {
+					mql.listener = null;
+				}
+			};
+			queries[ media ] = mql;
+			return mql;
+		};
+		pf.matchesMedia = function() {
+			return wide;
+		};
+		pf.removeVideoShim = function() {};
+		pf.support.mediaQueries_ = null;
+
+		pictures.innerHTML = "<picture><source media=\"(min-width: 50em)\" srcset=\"big.png\"><img srcset=\"small.png\"></picture>" +
+			"<picture><source media=\"(min-width: 50em)\" srcset=\"big.png 800w\"><img srcset=\"small.png\"></picture>" +
+			"<picture><source media=\"(orientation: portrait)\" srcset=\"tall.png\"><img srcset=\"wide.png\"></picture>";
+		document.getElementById( "qunit-fixture" ).appendChild( pictures );
+		images = pictures.getElementsByTagName( "img" );
+
+		pf.shim({ reevaluate: true, elements: images });
+		ok( queries[ "(min-width: 50em)" ].listener && queries[ "(orientation: portrait)" ].listener, "every query is listened to" );
+		deepEqual( pf.support.mediaQueries_[ "(min-width: 50em)" ].images, [ images[ 0 ], images[ 1 ] ], "pictures are indexed by query" );
+
+		wide = true;
+		queries[ "(min-width: 50em)" ].listener( queries[ "(min-width: 50em)" ] );
+		ok( pf.endsWith( images[ 0 ].src, "big.png" ), "a query that starts matching switches the source" );
+		ok( pf.endsWith( images[ 1 ].src, "big.png" ) );
+		ok( pf.endsWith( images[ 2 ].src, "wide.png" ), "pictures using other queries are left alone" );
+
+		resizes = pf.getResizeElements_();
+		ok( resizes.indexOf( images[ 1 ] ) > -1, "width descriptors are re-evaluated on resize" );
+		ok( resizes.indexOf( images[ 0 ] ) === -1 && resizes.indexOf( images[ 2 ] ) === -1, "media queries are not" );
+
+		images[ 2 ].parentNode.getElementsByTagName( "source" )[ 0 ].setAttribute( "media", "(orientation: landscape)" );
+		pf.shim({ reevaluate: true, elements: [ images[ 2 ] ] });
+		ok( !pf.support.mediaQueries_[ "(orientation: portrait)" ], "a query no picture uses anymore is dropped" );
+		ok( !queries[ "(orientation: portrait)" ].listener, "and no longer listened to" );
+		ok( queries[ "(orientation: landscape)" ].listener, "the new query is" );
+
+		pf.mutated_([ { type: "childList", target: pictures, addedNodes: [], removedNodes: [ images[ 0 ].parentNode ] } ]);
+		deepEqual( pf.support.mediaQueries_[ "(min-width: 50em)" ].images, [ images[ 1 ] ], "removed pictures are taken out of the index" );
+
+		pf.getMediaQueryList = originalGetMediaQueryList;
+		pf.support.mediaQueries_ = originalMediaQueries;
+	});
+
+	test("sizes=auto", function() {
+		var picture = document.createElement( "picture" );
+		var source = document.createElement( "source" );
+		var img = document.createElement( "img" );
+		var renderedWidth = 0;
+
+		pf.getDpr = function() {
+			return 1;
+		};
+		pf.getViewport = function() {
+			return { width: 1000, height: 800 };
+		};
+		pf.getRenderedWidth = function() {
+			return renderedWidth;
+		};
+		img.setAttribute( "loading", "lazy" );
+		img.style.width = "50%";
+		// lazy images are only shimmed near the viewport
+		img[ pf.ns ] = { nearViewport: true };
+
+		ok( pf.hasAutoSizes( source ) === false, "no sizes" );
+		source.setAttribute( "sizes", "AUTO, 50vw" );
+		ok( pf.hasAutoSizes( source ), "auto with a fallback" );
+		equal( pf.getSlotWidth( source, img ), 500, "the fallback is used while the img isn't rendered" );
+
+		renderedWidth = 300;
+		equal( pf.getSlotWidth( source, img ), 300, "the rendered width of the img is the slot width" );
+
+		source.setAttribute( "srcset", "small.png 400w, large.png 800w" );
+		picture.appendChild( source );
+		picture.appendChild( img );
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "small.png" ), "candidates are picked for the rendered width" );
+		equal( img.getAttribute( "width" ), null, "no width attribute is set" );
+
+		renderedWidth = 700;
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "large.png" ), "a wider img gets a larger candidate" );
+
+		source.setAttribute( "sizes", "autoplay" );
+		ok( pf.hasAutoSizes( source ) === false, "only the auto keyword counts" );
+	});
+
+	test("sizes=auto needs a lazy img with a width", function() {
+		var img = document.createElement( "img" );
+
+		pf.getDpr = function() {
+			return 1;
+		};
+		pf.getViewport = function() {
+			return { width: 1000, height: 800 };
+		};
+		// the unstyled img is as wide as the candidate it shows
+		pf.getRenderedWidth = function() {
+			return pf.endsWith( img.src, "large.png" ) ? 800 : 400;
+		};
+
+		img.setAttribute( "sizes", "auto, 300px" );
+		img.setAttribute( "srcset", "small.png 400w, large.png 800w" );
+		img.setAttribute( "loading", "lazy" );
+		img[ pf.ns ] = { nearViewport: true };
+		document.getElementById( "qunit-fixture" ).appendChild( img );
+
+		ok( !pf.usesAutoSizes( img ), "not without a width" );
+		equal( pf.getSlotWidth( img ), 300, "the fallback sizes are used" );
+
+		pf.shim({ elements: [ img ], reevaluate: true });
+		pf.shim({ elements: [ img ], reevaluate: true });
+		ok( pf.endsWith( img.src, "small.png" ), "the image doesn't grow with the candidate it shows" );
+
+		img = document.createElement( "img" );
+		img.setAttribute( "sizes", "auto" );
+		img.setAttribute( "width", "500" );
+		ok( !pf.usesAutoSizes( img ), "not without loading=lazy" );
+		equal( pf.getSlotWidth( img ), 1000, "100vw without a fallback" );
+
+		img.setAttribute( "loading", "lazy" );
+		ok( pf.usesAutoSizes( img ), "a width attribute" );
+	});
+
+	test("lazy loading", function() {
+		var picture = document.createElement( "picture" );
+		var source = document.createElement( "source" );
+		var img = document.createElement( "img" );
+		var lazyImg = document.createElement( "img" );
+		var nearViewport = false;
+		var originalIntersectionObserver = window.IntersectionObserver;
+		var observed = [];
+		var intersected;
+
+		pf.getDpr = function() {
+			return 1;
+		};
+		pf.isNearViewport = function() {
+			return nearViewport;
+		};
+		// the scroll and resize checks where there is no IntersectionObserver
+		window.IntersectionObserver = undefined;
+		pf.support.lazyObserver_ = null;
+
+		ok( !pf.isLazy( lazyImg ), "images are eager by default" );
+		lazyImg.setAttribute( "loading", "Lazy" );
+		ok( pf.isLazy( lazyImg ), "loading=lazy" );
+
+		picture.setAttribute( pf.lazyAttr, "" );
+		source.setAttribute( "srcset", "one.png 1x, two.png 2x" );
+		picture.appendChild( source );
+		picture.appendChild( img );
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+		ok( pf.isLazy( img ), "the lazy attribute on the picture" );
+
+		pf.shim({ elements: [ img ] });
+		equal( img.getAttribute( "src" ), null, "the selection waits for the image to come near the viewport" );
+
+		pf.loadVisible();
+		equal( img.getAttribute( "src" ), null, "images away from the viewport keep waiting" );
+
+		nearViewport = true;
+		pf.loadVisible();
+		ok( pf.endsWith( img.src, "one.png" ), "images near the viewport are loaded" );
+
+		window.IntersectionObserver = function( callback, options ) {
+			intersected = callback;
+			equal( options.rootMargin, pf.lazyMargin + "px", "the observer looks ahead by `picturefill.lazyMargin`" );
+		};
+		window.IntersectionObserver.prototype.observe = function( el ) {
+			observed.push( el );
+		};
+		window.IntersectionObserver.prototype.unobserve = function( el ) {
+			observed.splice( $.inArray( el, observed ), 1 );
+		};
+		picture = document.createElement( "picture" );
+		picture.innerHTML = "<source srcset=\"three.png\">";
+		picture.appendChild( lazyImg );
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+
+		pf.shim({ elements: [ lazyImg ] });
+		deepEqual( observed, [ lazyImg ], "images are observed where IntersectionObserver is supported" );
+		equal( lazyImg.getAttribute( "src" ), null );
+
+		intersected([ { target: lazyImg, isIntersecting: false } ]);
+		equal( lazyImg.getAttribute( "src" ), null, "images away from the viewport keep waiting" );
+
+		intersected([ { target: lazyImg, isIntersecting: true } ]);
+		ok( pf.endsWith( lazyImg.src, "three.png" ), "images that intersect are loaded" );
+		equal( observed.length, 0, "and no longer observed" );
+
+		window.IntersectionObserver = originalIntersectionObserver;
+		pf.support.lazyObserver_ = null;
+		pf.support.lazyImages_ = null;
+	});
+
+	test("preload", function() {
+		var picture = document.createElement( "picture" );
+		var source = document.createElement( "source" );
+		var img = document.createElement( "img" );
+		var priorityImg = document.createElement( "img" );
+		var originalCreateElement = document.createElement;
+		var links, created;
+
+		pf.getDpr = function() {
+			return 2;
+		};
+
+		ok( !pf.isPriority( priorityImg ), "images aren't priority images by default" );
+		priorityImg.setAttribute( "fetchpriority", "high" );
+		ok( pf.isPriority( priorityImg ), "fetchpriority=high" );
+
+		source.setAttribute( "srcset", "one.png 1x, two.png 2x" );
+		source.setAttribute( "sizes", "50vw" );
+		picture.appendChild( source );
+		picture.appendChild( img );
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+
+		equal( pf.preload({ elements: [ img ] }).length, 0, "other images aren't preloaded" );
+
+		picture.setAttribute( pf.preloadAttr, "" );
+		links = pf.preload({ elements: [ img ] });
+		equal( links.length, 1, "a preload link is added" );
+		equal( links[ 0 ].getAttribute( "rel" ), "preload" );
+		equal( links[ 0 ].getAttribute( "as" ), "image" );
+		equal( links[ 0 ].getAttribute( "href" ), "two.png", "the link fetches the selected candidate" );
+		links[ 0 ].parentNode.removeChild( links[ 0 ] );
+
+		equal( pf.preload({ elements: [ img ] }).length, 0, "images are only preloaded once" );
+
+		picture = document.createElement( "picture" );
+		picture.setAttribute( pf.preloadAttr, "" );
+		picture.innerHTML = "<video><source srcset=\"video.png\"></video><img>";
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+		links = pf.preload({ elements: picture.getElementsByTagName( "img" ) });
+		equal( links.length, 1, "sources in the IE9 video workaround" );
+		equal( links[ 0 ].getAttribute( "href" ), "video.png" );
+		equal( picture.getElementsByTagName( "video" ).length, 0, "are unwrapped first" );
+		links[ 0 ].parentNode.removeChild( links[ 0 ] );
+
+		pf.restrictsMixedContent = function() {
+			return true;
+		};
+		picture = document.createElement( "picture" );
+		picture.setAttribute( pf.preloadAttr, "" );
+		picture.innerHTML = "<source srcset=\"http://example.org/insecure.png\"><img>";
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+		created = 0;
+		document.createElement = function( name ) {
+			created += name === "link" ? 1 : 0;
+			return originalCreateElement.call( document, name );
+		};
+		links = pf.preload({ elements: picture.getElementsByTagName( "img" ) });
+		document.createElement = originalCreateElement;
+		equal( links.length, 0, "blocked mixed content isn't preloaded" );
+		equal( created, 0, "nor is a link created for it" );
+	});
+
+	test("observed mutations shim the affected images", function() {
+		var originalShim = pf.shim;
+		var fixture = document.getElementById( "qunit-fixture" );
+		var picture, source, div, images, shimmed, img, batch;
+
+		fixture.innerHTML = "<picture><source srcset='a.png'><img></picture><div><img><img></div>";
+		picture = fixture.getElementsByTagName( "picture" )[ 0 ];
+		source = fixture.getElementsByTagName( "source" )[ 0 ];
+		div = fixture.getElementsByTagName( "div" )[ 0 ];
+		images = fixture.getElementsByTagName( "img" );
+
+		pf.shim = function( opt ) {
+			ok( opt.reevaluate, "images are reevaluated" );
+			shimmed = opt.elements;
+		};
+
+		pf.mutated_([ { type: "childList", target: fixture, addedNodes: [ picture, div ] } ]);
+		deepEqual( shimmed, [ images[ 0 ], images[ 1 ], images[ 2 ] ], "added images and images in added nodes" );
+
+		pf.mutated_([
+			{ type: "attributes", target: source, attributeName: "media" },
+			{ type: "attributes", target: images[ 0 ], attributeName: "sizes" }
+		]);
+		deepEqual( shimmed, [ images[ 0 ] ], "images are shimmed once per batch" );
+
+		pf.mutated_([ { type: "childList", target: picture, addedNodes: [] } ]);
+		deepEqual( shimmed, [ images[ 0 ] ], "sources added to or removed from a picture" );
+
+		shimmed = undefined;
+		images[ 1 ][ pf.ns ] = { srcset: "old.png" };
+		images[ 1 ].setAttribute( "srcset", "" );
+		pf.mutated_([ { type: "attributes", target: images[ 1 ], attributeName: "srcset" } ]);
+		equal( shimmed, undefined, "emptying srcset to polyfill it is ignored" );
+
+		images[ 1 ].setAttribute( "srcset", "new.png" );
+		pf.mutated_([ { type: "attributes", target: images[ 1 ], attributeName: "srcset" } ]);
+		deepEqual( shimmed, [ images[ 1 ] ], "a new srcset" );
+		equal( images[ 1 ][ pf.ns ].srcset, undefined, "replaces the cached one" );
+
+		shimmed = undefined;
+		img = document.createElement( "img" );
+		fixture.appendChild( img );
+		fixture.removeChild( img );
+		batch = [
+			{ type: "childList", target: fixture, addedNodes: [ img ], removedNodes: [] },
+			{ type: "childList", target: fixture, addedNodes: [], removedNodes: [ img ] }
+		];
+		pf.mutated_( batch );
+		equal( shimmed, undefined, "an image added and removed in one batch is left alone" );
+
+		div.appendChild( images[ 0 ] );
+		pf.mutated_([
+			{ type: "childList", target: picture, addedNodes: [], removedNodes: [ images[ 0 ] ] },
+			{ type: "childList", target: div, addedNodes: [ images[ 0 ] ], removedNodes: [] }
+		]);
+		deepEqual( shimmed, [ images[ 0 ] ], "a moved image is shimmed in its new place" );
+
+		pf.shim = originalShim;
+		pf.mutated_( batch );
+		ok( true, "the shim isn't handed the removed image" );
+	});
+
 	test( "removeVideoShim", function() {
 		var $videoShim = $( ".video-shim" );
 
@@ -465,6 +1292,78 @@
 		equal( $videoShim.find( "source" ).length, 2 );
 	});
 
+	test( "destroy restores the markup within a root", function() {
+		var root = document.createElement( "div" ),
+			outside = document.createElement( "img" ),
+			picture, img, bg;
+
+		root.innerHTML = "<picture><video><source srcset=\"a.png\"><source srcset=\"b.png\"></video>" +
+			"<img width=\"10\"></picture>" +
+			"<div style=\"background-image: image-set('c.png' 1x)\"></div>";
+		document.getElementById( "qunit-fixture" ).appendChild( root );
+		document.getElementById( "qunit-fixture" ).appendChild( outside );
+		picture = root.getElementsByTagName( "picture" )[ 0 ];
+		img = root.getElementsByTagName( "img" )[ 0 ];
+		bg = root.getElementsByTagName( "div" )[ 0 ];
+
+		pf.removeVideoShim( picture );
+		img[ pf.ns ] = {};
+		img.srcset = "d.png 1x";
+		img.setAttribute( "srcset", "d.png 1x" );
+		pf.dodgeSrcset( img );
+		pf.applyBestCandidate( [ { url: "d.png", resolution: 1 } ], img );
+		outside[ pf.ns ] = { evaluated: true };
+		pf.getImageSetElements();
+		bg.style.backgroundImage = "url(c.png)";
+
+		pf.destroy( root );
+
+		equal( picture.getElementsByTagName( "video" ).length, 1, "the video is put back" );
+		equal( picture.getElementsByTagName( "video" )[ 0 ].getElementsByTagName( "source" ).length, 2, "around its sources" );
+		equal( img.getAttribute( "srcset" ), "d.png 1x", "srcset is restored" );
+		equal( img.getAttribute( "data-pfsrcset" ), null );
+		equal( img.getAttribute( "src" ), null, "src is restored" );
+		equal( img.getAttribute( "width" ), "10", "width is restored" );
+		ok( !img[ pf.ns ], "the expando is removed" );
+		ok( !img.hasOwnProperty( "currentSrc" ), "and so is currentSrc" );
+		ok( /image-set/.test( bg.getAttribute( "style" ) ), "the inline style is restored" );
+		equal( bg.getAttribute( pf.imageSetAttr ), null, "the copied image-set() is removed" );
+		ok( !bg[ pf.ns ] );
+		ok( outside[ pf.ns ].evaluated, "images outside the root are left alone" );
+
+		pf.destroy( document );
+		ok( !outside[ pf.ns ], "the document is the same as no root" );
+		ok( !pf.support.initialized_ );
+		pf.init();
+	});
+
+	test( "destroy within a root passes on pending mutations elsewhere", function() {
+		var originalObserver = pf.support.mutationObserver_,
+			originalMutated = pf.mutated_,
+			fixture = document.getElementById( "qunit-fixture" ),
+			root = document.createElement( "div" ),
+			inside = { type: "attributes", target: document.createElement( "img" ), attributeName: "srcset" },
+			outside = { type: "childList", target: fixture, addedNodes: [], removedNodes: [] },
+			passed;
+
+		root.appendChild( inside.target );
+		fixture.appendChild( root );
+		pf.support.mutationObserver_ = {
+			takeRecords: function() {
+				return [ inside, outside ];
+			}
+		};
+		pf.mutated_ = function( records ) {
+			passed = records;
+		};
+
+		pf.destroy( root );
+		deepEqual( passed, [ outside ], "only the records of elements outside the root" );
+
+		pf.support.mutationObserver_ = originalObserver;
+		pf.mutated_ = originalMutated;
+	});
+
 	test("getMatch returns the first matching `source`", function() {
 		var firstsource = $( ".first-match" )[ 0 ].parentNode.getElementsByTagName( "source" )[ 0 ];
 
@@ -485,6 +1384,331 @@
 		equal( pf.getMatch($(".pending-check")[0], $(".pending-check")[0].parentNode ), false, "pending type should be false" );
 	});
 
+	test( "next-gen image types are tested on demand", function() {
+		ok( pf.typeTests_[ "image/webp" ], "webp" );
+		ok( pf.typeTests_[ "image/avif" ], "avif" );
+		ok( pf.typeTests_[ "image/jxl" ], "jpeg xl" );
+		ok( pf.typeTests_[ "image/heic" ], "heic" );
+	});
+
+	test( "next-gen type probes are well-formed", function() {
+		var decode = function( type ) {
+				var base64 = pf.typeProbes_[ type ].split( "," )[ 1 ];
+
+				equal( base64.length % 4, 0, type + " is padded base64" );
+				return window.atob( base64 );
+			},
+			uint32 = function( data, pos ) {
+				return data.charCodeAt( pos ) * 16777216 + data.charCodeAt( pos + 1 ) * 65536 +
+					data.charCodeAt( pos + 2 ) * 256 + data.charCodeAt( pos + 3 );
+			},
+			// the top level boxes of an ISO BMFF file have to fill it, and the image extent of the
+			// item location box has to be within the media data box
+			checkBoxes = function( type ) {
+				var data = decode( type ),
+					pos = 0,
+					size,
+					iloc,
+					mdat,
+					offset;
+
+				while ( pos < data.length ) {
+					size = uint32( data, pos );
+					if ( size < 8 ) {
+						break;
+					}
+					if ( data.substr( pos + 4, 4 ) === "mdat" ) {
+						mdat = pos;
+					}
+					pos += size;
+				}
+				equal( pos, data.length, type + " boxes end with the file" );
+
+				// version 0 with 4 byte offsets and lengths, one item with one extent
+				iloc = data.indexOf( "iloc" ) - 4;
+				offset = uint32( data, iloc + 22 );
+				ok( offset >= mdat + 8, type + " image data starts in the media data box" );
+				equal( offset + uint32( data, iloc + 26 ), data.length, type + " image data ends with the file" );
+			};
+
+		checkBoxes( "image/avif" );
+		checkBoxes( "image/heic" );
+		equal( decode( "image/jxl" ).substr( 0, 2 ), "\xFF\x0A", "jpeg xl codestream signature" );
+	});
+
+	asyncTest( "decodeTest", function() {
+		pf.decodeTest( "data:image/x-broken;base64,AAAA" )( new Image() ).then(function( supported ) {
+			strictEqual( supported, false, "a type whose image fails to decode is unsupported" );
+			start();
+		});
+	});
+
+	test( "registerType", function() {
+		var originalShim = pf.shim;
+		var picture = document.createElement( "picture" );
+		var source = document.createElement( "source" );
+		var img = document.createElement( "img" );
+		var probes = [];
+		var resolveTest, shimmed;
+
+		pf.registerType( "image/x-test", function( image ) {
+			probes.push( image );
+			return {
+				then: function( resolve ) {
+					resolveTest = resolve;
+				}
+			};
+		});
+		pf.registerType( "image/x-other", function( image ) {
+			probes.push( image );
+			return {
+				then: function() {}
+			};
+		});
+
+		equal( pf.verifyType( "image/x-test" ), "pending", "the test runs when the type is needed" );
+		equal( pf.verifyType( "image/x-test" ), "pending", "and stays pending until it finishes" );
+		pf.verifyType( "image/x-other" );
+		equal( probes.length, 2, "each test runs once" );
+		ok( probes[ 0 ] !== probes[ 1 ], "each test gets its own probe image" );
+
+		source.setAttribute( "type", "image/x-test" );
+		source.setAttribute( "srcset", "a.png" );
+		picture.appendChild( source );
+		picture.appendChild( img );
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+		pf.shim({ elements: [ img ] });
+
+		pf.shim = function( opt ) {
+			shimmed = opt.elements;
+		};
+		resolveTest( true );
+		pf.shim = originalShim;
+
+		strictEqual( pf.types[ "image/x-test" ], true, "the result is memoized" );
+		deepEqual( shimmed, [ img ], "only the pictures waiting on the type are shimmed again" );
+
+		pf.registerType( "image/x-sync", function() {
+			return false;
+		});
+		strictEqual( pf.verifyType( "image/x-sync" ), false, "tests can answer synchronously" );
+
+		pf.registerType( "image/x-throws", function() {
+			throw new Error( "unsupported" );
+		});
+		strictEqual( pf.verifyType( "image/x-throws" ), false, "a test that throws means the type is unsupported" );
+
+		delete pf.typeTests_[ "image/x-test" ];
+		delete pf.typeTests_[ "image/x-other" ];
+		delete pf.typeTests_[ "image/x-sync" ];
+		delete pf.typeTests_[ "image/x-throws" ];
+	});
+
+	test( "type test results are cached", function() {
+		var originalGetStorage = pf.getStorage;
+		var items = {};
+		var storage = {
+			getItem: function( key ) {
+				return items.hasOwnProperty( key ) ? items[ key ] : null;
+			},
+			setItem: function( key, value ) {
+				items[ key ] = String( value );
+			}
+		};
+		var runs = 0;
+		var test = function() {
+			runs++;
+			return true;
+		};
+		var cache;
+
+		pf.getStorage = function() {
+			return storage;
+		};
+
+		pf.registerType( "image/x-cached", test );
+		strictEqual( pf.verifyType( "image/x-cached" ), true );
+		cache = JSON.parse( items[ pf.typeCacheKey_ ] );
+		equal( cache.ua, navigator.userAgent, "the cache belongs to this browser" );
+		strictEqual( cache.types[ "image/x-cached" ].supported, true, "the result is stored" );
+
+		pf.registerType( "image/x-cached", test );
+		strictEqual( pf.verifyType( "image/x-cached" ), true, "a stored result is used on the next page load" );
+		equal( runs, 1, "without running the test again" );
+
+		cache.types[ "image/x-cached" ].time -= pf.typeCacheMaxAge;
+		items[ pf.typeCacheKey_ ] = JSON.stringify( cache );
+		pf.registerType( "image/x-cached", test );
+		pf.verifyType( "image/x-cached" );
+		equal( runs, 2, "expired results are tested again" );
+
+		cache = JSON.parse( items[ pf.typeCacheKey_ ] );
+		cache.ua = "another browser";
+		items[ pf.typeCacheKey_ ] = JSON.stringify( cache );
+		pf.registerType( "image/x-cached", test );
+		pf.verifyType( "image/x-cached" );
+		equal( runs, 3, "results of another browser are tested again" );
+
+		items[ pf.typeCacheKey_ ] = "{";
+		pf.registerType( "image/x-cached", test );
+		strictEqual( pf.verifyType( "image/x-cached" ), true, "an unreadable cache is replaced" );
+		equal( runs, 4 );
+
+		pf.getStorage = originalGetStorage;
+		delete pf.typeTests_[ "image/x-cached" ];
+		delete pf.types[ "image/x-cached" ];
+	});
+
+	test( "type cache key", function() {
+		var probe = pf.typeProbes_[ "image/avif" ];
+
+		equal( pf.typeCacheKey_.indexOf( "picturefill-types-" + pf.typeCacheVersion_ + "-" ), 0, "the key holds the format version" );
+		notEqual( pf.checksum_( probe ), pf.checksum_( probe.slice( 0, -2 ) + "Aw" ), "a changed probe changes the checksum" );
+		notEqual( pf.checksum_( "image/avif" + probe ), pf.checksum_( "image/heic" + probe ), "so does a probe moved to another type" );
+	});
+
+	test( "parseMimeType", function() {
+		var webp = { type: "image", subtype: "webp", essence: "image/webp", parameters: {} };
+
+		deepEqual( pf.parseMimeType( "image/webp" ), webp );
+		deepEqual( pf.parseMimeType( " Image/WebP\t" ), webp, "type and subtype are trimmed and lowercased" );
+		deepEqual( pf.parseMimeType( "image/webp; codecs=\"vp8, vp8l\"" ).parameters, { codecs: "vp8, vp8l" }, "quoted parameters" );
+		deepEqual( pf.parseMimeType( "image/webp;Codecs=VP8 ;codecs=x" ).parameters, { codecs: "VP8" }, "names are lowercased, the first occurrence wins" );
+		deepEqual( pf.parseMimeType( "image/webp;a;b=;=c;d=\"x\\\"y\"z" ).parameters, { d: "x\"y" }, "invalid parameters are dropped" );
+
+		equal( pf.parseMimeType( "image" ), null, "no subtype" );
+		equal( pf.parseMimeType( "image/" ), null, "empty subtype" );
+		equal( pf.parseMimeType( "/webp" ), null, "empty type" );
+		equal( pf.parseMimeType( "image/web p" ), null, "whitespace in the subtype" );
+		equal( pf.parseMimeType( "image/ webp" ), null, "whitespace before the subtype" );
+		deepEqual( pf.parseMimeType( "image/webp \t;a=b" ), { type: "image", subtype: "webp", essence: "image/webp", parameters: { a: "b" } }, "whitespace after the subtype" );
+		equal( pf.parseMimeType( "image;a=b/c" ), null, "slash in a parameter" );
+	});
+
+	test( "verifyType parses mime types", function() {
+		var tested = [];
+
+		pf.registerType( "image/x-anim", function( image, mime ) {
+			tested.push( mime );
+			return mime.parameters.animated !== "true";
+		});
+
+		strictEqual( pf.verifyType( "Image/X-Anim" ), true, "types match case-insensitively" );
+		strictEqual( pf.verifyType( "image/x-anim; animated=true" ), false, "tests can decide on the parameters" );
+		strictEqual( pf.verifyType( "image/x-anim;  ANIMATED=true" ), false, "results for parameters are memoized" );
+		equal( tested.length, 2, "each set of parameters is tested once" );
+		deepEqual( tested[ 1 ].parameters, { animated: "true" }, "tests get the parameters" );
+
+		strictEqual( pf.verifyType( "image/png; charset=binary" ), true, "types without a test ignore parameters" );
+		strictEqual( pf.verifyType( "image/png x" ), undefined, "invalid types aren't supported" );
+
+		delete pf.typeTests_[ "image/x-anim" ];
+		delete pf.types[ "image/x-anim" ];
+		delete pf.types[ "image/x-anim;animated=true" ];
+	});
+
+	test( "getAllElements within a root", function() {
+		var root = document.createElement( "div" ),
+			fragment = document.createDocumentFragment(),
+			inside, outside, host, shadowRoot, images;
+
+		root.innerHTML = "<picture><img class=\"inside\"></picture><img>";
+		inside = root.getElementsByTagName( "img" )[ 0 ];
+		outside = document.createElement( "img" );
+		outside.setAttribute( "srcset", "foo.png" );
+		document.getElementById( "qunit-fixture" ).appendChild( root );
+		document.getElementById( "qunit-fixture" ).appendChild( outside );
+
+		deepEqual( pf.getAllElements( root ), [ inside ], "only images within the root" );
+		deepEqual( pf.getAllElements( outside ), [ outside ], "the root itself" );
+
+		fragment.appendChild( outside );
+		deepEqual( pf.getAllElements( fragment ), [ outside ], "document fragments" );
+
+		host = document.createElement( "div" );
+		if ( !host.attachShadow ) {
+			return;
+		}
+		root.appendChild( host );
+		host.innerHTML = "<picture slot=\"image\"><img class=\"slotted\"></picture>";
+		shadowRoot = host.attachShadow({ mode: "open" });
+		shadowRoot.innerHTML = "<img srcset=\"bar.png\"><slot name=\"image\"></slot>";
+
+		images = pf.getAllElements( root, true );
+		equal( images.length, 3, "images in open shadow roots" );
+		equal( images[ 2 ], shadowRoot.firstChild );
+
+		images = pf.getAllElements( shadowRoot );
+		equal( images.length, 2, "slotted images" );
+		equal( images[ 1 ], host.getElementsByTagName( "img" )[ 0 ] );
+	});
+
+	test( "resizes evaluate the images of the roots given to shim", function() {
+		var fixture = document.getElementById( "qunit-fixture" ),
+			host = document.createElement( "div" ),
+			shadowRoot, shadowImg, nested;
+
+		if ( !host.attachShadow ) {
+			return;
+		}
+		fixture.appendChild( host );
+		shadowRoot = host.attachShadow({ mode: "open" });
+		shadowRoot.innerHTML = "<img srcset=\"foo.png 100w\" sizes=\"50vw\"><div></div>";
+		shadowImg = shadowRoot.firstChild;
+		nested = shadowRoot.lastChild.attachShadow({ mode: "open" });
+		nested.innerHTML = "<img srcset=\"bar.png 100w\" sizes=\"50vw\">";
+
+		equal( $.inArray( shadowImg, pf.getTrackedElements_() ), -1, "not before the root is shimmed" );
+
+		pf.shim({ root: shadowRoot });
+		pf.shim({ root: shadowRoot });
+		equal( pf.support.shimRoots_.length, 1, "each root is kept once" );
+		ok( $.inArray( shadowImg, pf.getResizeElements_() ) !== -1, "images of the root are evaluated on resize" );
+		equal( $.inArray( nested.firstChild, pf.getTrackedElements_() ), -1, "without those in its shadow roots" );
+
+		pf.shim({ root: shadowRoot, shadow: true });
+		ok( $.inArray( nested.firstChild, pf.getTrackedElements_() ) !== -1, "unless the shim looked in them" );
+
+		pf.destroy( host );
+		equal( $.inArray( shadowImg, pf.getTrackedElements_() ), -1, "destroy forgets the roots within its root" );
+
+		pf.shim({ root: shadowRoot });
+		fixture.removeChild( host );
+		equal( $.inArray( shadowImg, pf.getTrackedElements_() ), -1, "and so does taking the root out of the document" );
+		equal( pf.support.shimRoots_.length, 0 );
+	});
+
+	test( "destroy within a document fragment or shadow root", function() {
+		var fragment = document.createDocumentFragment(),
+			img = document.createElement( "img" ),
+			host, shadowRoot, shadowImg;
+
+		img[ pf.ns ] = { srcset: "foo.png 1x" };
+		img.setAttribute( "data-pfsrcset", "foo.png 1x" );
+		fragment.appendChild( img );
+
+		pf.destroy( fragment );
+		equal( img.getAttribute( "srcset" ), "foo.png 1x", "images in a fragment are restored" );
+		ok( !img[ pf.ns ] );
+
+		host = document.createElement( "div" );
+		if ( !host.attachShadow ) {
+			return;
+		}
+		document.getElementById( "qunit-fixture" ).appendChild( host );
+		shadowRoot = host.attachShadow({ mode: "open" });
+		shadowRoot.innerHTML = "<picture><img></picture>";
+		shadowImg = shadowRoot.querySelector( "img" );
+		shadowImg[ pf.ns ] = { evaluated: true };
+
+		pf.destroy( shadowRoot );
+		ok( !shadowImg[ pf.ns ], "images in a shadow root are restored" );
+
+		shadowImg[ pf.ns ] = { evaluated: true };
+		pf.destroy( host );
+		ok( !shadowImg[ pf.ns ], "and so are those in open shadow roots within the root" );
+	});
+
 	test( "getMatch returns source when it matches the media", function() {
 		var $match = $( ".match-check ");
 		pf.matchesMedia = function() {
@@ -566,6 +1790,112 @@
 		el.parentNode.removeChild( el );
 	});
 
+	test( "applyBestCandidate fires lifecycle events", function() {
+		var img = document.createElement( "img" ),
+			source = document.createElement( "source" ),
+			candidate = { url: "foo.png", resolution: 2 },
+			events = [],
+			listener = function( e ) {
+				events.push( e );
+			},
+			load;
+
+		pf.getDpr = function() {
+			return 2;
+		};
+		document.getElementById( "qunit-fixture" ).appendChild( img );
+		document.addEventListener( "picturefill:select", listener, false );
+		document.addEventListener( "picturefill:load", listener, false );
+
+		img[ pf.ns ] = { source: source };
+		pf.applyBestCandidate( [ candidate ], img, 300 );
+
+		equal( events.length, 1 );
+		equal( events[ 0 ].type, "picturefill:select" );
+		equal( events[ 0 ].target, img, "bubbles up from the img" );
+		deepEqual( events[ 0 ].detail, { candidate: candidate, source: source, dpr: 2, slotWidth: 300 } );
+
+		pf.applyBestCandidate( [ candidate ], img, 300 );
+		equal( events.length, 1, "not when the candidate stays the same" );
+
+		load = document.createEvent( "Event" );
+		load.initEvent( "load", false, false );
+		img.dispatchEvent( load );
+		equal( events.length, 2 );
+		equal( events[ 1 ].type, "picturefill:load" );
+		deepEqual( events[ 1 ].detail, { candidate: candidate, source: source } );
+
+		candidate = { url: "./img/../bar%20baz.png", resolution: 2 };
+		pf.maxDpr = 1.5;
+		pf.applyBestCandidate( [ candidate ], img, 300 );
+		equal( events[ 2 ].detail.dpr, 1.5, "the device pixel ratio the candidate was picked for" );
+
+		img.dispatchEvent( load );
+		equal( events.length, 4, "a relative url is matched once it is resolved" );
+		equal( events[ 3 ].detail.candidate, candidate );
+
+		img.src = "other.png";
+		img.dispatchEvent( load );
+		equal( events.length, 4, "not for a src set by other code" );
+
+		document.removeEventListener( "picturefill:select", listener, false );
+		document.removeEventListener( "picturefill:load", listener, false );
+	});
+
+	test( "images fall back to the next candidate when one fails to load", function() {
+		var picture = document.createElement( "picture" ),
+			img,
+			sources = [],
+			fail = function() {
+				var error = document.createEvent( "Event" );
+
+				error.initEvent( "error", false, false );
+				img.dispatchEvent( error );
+				sources.push( img[ pf.ns ].selected.url );
+			};
+
+		pf.getDpr = function() {
+			return 2;
+		};
+		pf.removeVideoShim = function() {};
+		pf.retries = 3;
+		picture.innerHTML = "<source srcset=\"a1.png 1x, a2.png 2x\"><source srcset=\"b1.png\"><img srcset=\"c1.png\">";
+		img = picture.getElementsByTagName( "img" )[ 0 ];
+		document.getElementById( "qunit-fixture" ).appendChild( picture );
+
+		pf.shim({ reevaluate: true, elements: [ img ] });
+		equal( img[ pf.ns ].selected.url, "a2.png" );
+
+		fail();
+		fail();
+		fail();
+		deepEqual( sources, [ "a1.png", "b1.png", "c1.png" ], "down the candidates, then on to the next source" );
+		ok( pf.hasFailed( "a2.png" ) && pf.hasFailed( "a1.png" ) && pf.hasFailed( "b1.png" ), "failed candidates are marked" );
+
+		fail();
+		equal( img[ pf.ns ].selected.url, "c1.png", "up to `picturefill.retries` times" );
+	});
+
+	test( "a failed candidate gives way to a smaller one before a larger one", function() {
+		var candidates = function() {
+			return [ { url: "c3.png", resolution: 3 }, { url: "c1.png", resolution: 1 }, { url: "c2.png", resolution: 2 } ];
+		};
+
+		pf.getDpr = function() {
+			return 2;
+		};
+		equal( pf.selectCandidate( candidates() ).url, "c2.png" );
+
+		pf.failed_[ "c2.png" ] = true;
+		equal( pf.selectCandidate( candidates() ).url, "c1.png", "the largest candidate below the failed one" );
+
+		pf.failed_[ "c1.png" ] = true;
+		equal( pf.selectCandidate( candidates() ).url, "c3.png", "a larger one once none is left below" );
+
+		pf.failed_[ "c3.png" ] = true;
+		equal( pf.selectCandidate( candidates() ), undefined, "none once all of them failed" );
+	});
+
 	test( "Mixed content should be blocked", function() {
 		pf.restrictsMixedContent = function() {
 			return true;